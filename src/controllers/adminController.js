@@ -0,0 +1,201 @@
+const logger = require('../utils/logger');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const connections = require('../services/connections');
+
+/**
+ * List pending and dead-lettered outbound webhooks
+ */
+const getWebhookQueue = () => {
+  return async (req, res) => {
+    try {
+      const queue = await webhookDispatcher.getQueueStatus();
+
+      res.json({ 
+        success: true, 
+        enabled: queue.enabled,
+        pending_count: queue.pending.length,
+        dead_letter_count: queue.dead_letters.length,
+        pending: queue.pending,
+        dead_letters: queue.dead_letters
+      });
+
+    } catch (error) {
+      logger.error('Error fetching webhook queue:', error);
+      res.status(500).json({ error: 'Failed to fetch webhook queue' });
+    }
+  };
+};
+
+/**
+ * Requeue a dead-lettered webhook for another round of delivery attempts
+ */
+const retryDeadLetter = () => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await webhookDispatcher.retryDeadLetter(id))) {
+        return res.status(404).json({ error: 'Dead-lettered webhook not found', id });
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Webhook requeued for delivery',
+        id
+      });
+
+    } catch (error) {
+      logger.error('Error requeuing dead-lettered webhook:', error);
+      res.status(500).json({ error: 'Failed to requeue webhook' });
+    }
+  };
+};
+
+/**
+ * Discard a dead-lettered webhook
+ */
+const deleteDeadLetter = () => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await webhookDispatcher.deleteDeadLetter(id))) {
+        return res.status(404).json({ error: 'Dead-lettered webhook not found', id });
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Dead-lettered webhook discarded',
+        id
+      });
+
+    } catch (error) {
+      logger.error('Error discarding dead-lettered webhook:', error);
+      res.status(500).json({ error: 'Failed to discard webhook' });
+    }
+  };
+};
+
+/**
+ * List connected sockets on every instance, optionally filtered by user_id, user_type or room
+ */
+const listSockets = (io) => {
+  return async (req, res) => {
+    try {
+      const { user_id, user_type, room } = req.query;
+
+      const sockets = await connections.listSockets(io, { userId: user_id, userType: user_type, room });
+
+      res.json({ 
+        success: true, 
+        count: sockets.length,
+        sockets
+      });
+
+    } catch (error) {
+      logger.error('Error listing sockets:', error);
+      res.status(500).json({ error: 'Failed to list sockets' });
+    }
+  };
+};
+
+/**
+ * Membership count of every room
+ */
+const getRooms = (io) => {
+  return async (req, res) => {
+    try {
+      const counts = await connections.roomCounts(io);
+
+      res.json({ 
+        success: true, 
+        ...counts
+      });
+
+    } catch (error) {
+      logger.error('Error counting room members:', error);
+      res.status(500).json({ error: 'Failed to count room members' });
+    }
+  };
+};
+
+/**
+ * Disconnect a socket, on whichever instance it is connected
+ */
+const disconnectSocket = (io) => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!await connections.disconnectSocket(io, id)) {
+        return res.status(404).json({ error: 'Socket not connected', socket_id: id });
+      }
+
+      logger.warn('Socket disconnected by admin', { socketId: id });
+
+      res.json({ 
+        success: true, 
+        message: 'Socket disconnected',
+        socket_id: id
+      });
+
+    } catch (error) {
+      logger.error('Error disconnecting socket:', error);
+      res.status(500).json({ error: 'Failed to disconnect socket' });
+    }
+  };
+};
+
+/**
+ * Force all of a user's sockets out of a room
+ */
+const removeUserFromRoom = (io) => {
+  return async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { room } = req.body;
+
+      if (!room || typeof room !== 'string') {
+        return res.status(400).json({ 
+          error: 'room is required' 
+        });
+      }
+
+      // Without it the user would stop receiving anything addressed to them
+      if (room === `user_${userId}`) {
+        return res.status(400).json({ 
+          error: 'A user cannot be removed from their own user room; disconnect their sockets instead' 
+        });
+      }
+
+      const removed = await connections.removeUserFromRoom(io, userId, room);
+      if (removed === 0) {
+        return res.status(404).json({ error: 'User has no sockets in this room', user_id: userId, room });
+      }
+
+      logger.warn('User removed from room by admin', { userId, room, sockets: removed });
+
+      res.json({ 
+        success: true, 
+        message: 'User removed from room',
+        user_id: userId,
+        room,
+        sockets_removed: removed
+      });
+
+    } catch (error) {
+      logger.error('Error removing user from room:', error);
+      res.status(500).json({ error: 'Failed to remove user from room' });
+    }
+  };
+};
+
+module.exports = {
+  getWebhookQueue,
+  retryDeadLetter,
+  deleteDeadLetter,
+  listSockets,
+  getRooms,
+  disconnectSocket,
+  removeUserFromRoom
+};
@@ -0,0 +1,34 @@
+const logger = require('../utils/logger');
+const tripChat = require('../services/tripChat');
+
+/**
+ * Export the rider–driver chat of a trip for support review
+ */
+const getTripChat = () => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const transcript = await tripChat.getTranscript(id);
+      if (!transcript) {
+        return res.status(404).json({ 
+          error: 'No chat found for this trip',
+          trip_id: id
+        });
+      }
+
+      res.json({ 
+        success: true,
+        ...transcript
+      });
+
+    } catch (error) {
+      logger.error('Error exporting trip chat:', error);
+      res.status(500).json({ error: 'Failed to export trip chat' });
+    }
+  };
+};
+
+module.exports = {
+  getTripChat
+};
@@ -0,0 +1,52 @@
+const logger = require('../utils/logger');
+const driverLocator = require('../services/driverLocator');
+const geo = require('../utils/geo');
+
+const DEFAULT_RADIUS_M = 5000;
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Find the available drivers closest to a point
+ */
+const getNearbyDrivers = () => {
+  return async (req, res) => {
+    try {
+      const { lat, lng, radius, limit } = req.query;
+
+      const center = geo.toPoint({ lat, lng });
+      const radiusMeters = radius !== undefined ? Number(radius) : DEFAULT_RADIUS_M;
+      const maxResults = limit !== undefined ? Number(limit) : DEFAULT_LIMIT;
+
+      if (!center) {
+        return res.status(400).json({ 
+          error: 'lat and lng are required and must be valid coordinates' 
+        });
+      }
+
+      if (!(radiusMeters > 0 && radiusMeters <= driverLocator.MAX_RADIUS_M) ||
+        !(Number.isInteger(maxResults) && maxResults > 0 && maxResults <= driverLocator.MAX_RESULTS)) {
+        return res.status(400).json({ 
+          error: `radius must be 1-${driverLocator.MAX_RADIUS_M} metres and limit 1-${driverLocator.MAX_RESULTS}` 
+        });
+      }
+
+      const drivers = await driverLocator.findNearby(center, radiusMeters, maxResults);
+
+      res.json({ 
+        success: true, 
+        center,
+        radius: radiusMeters,
+        count: drivers.length,
+        drivers
+      });
+
+    } catch (error) {
+      logger.error('Error finding nearby drivers:', error);
+      res.status(500).json({ error: 'Failed to find nearby drivers' });
+    }
+  };
+};
+
+module.exports = {
+  getNearbyDrivers
+};
@@ -0,0 +1,34 @@
+const logger = require('../utils/logger');
+const deliveryTracker = require('../services/deliveryTracker');
+
+/**
+ * Report which recipients acknowledged a critical event
+ */
+const getDeliveryStatus = () => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const delivery = await deliveryTracker.getDeliveryStatus(id);
+      if (!delivery) {
+        return res.status(404).json({ 
+          error: 'No delivery record for this event',
+          event_id: id
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        ...delivery
+      });
+
+    } catch (error) {
+      logger.error('Error fetching event delivery status:', error);
+      res.status(500).json({ error: 'Failed to fetch event delivery status' });
+    }
+  };
+};
+
+module.exports = {
+  getDeliveryStatus
+};
@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+const presence = require('../services/presence');
+
+/**
+ * Whether one user is connected right now, e.g. before falling back to SMS
+ */
+const getPresence = (io) => {
+  return async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const userPresence = await presence.lookup(io, userId);
+
+      res.json({ 
+        success: true, 
+        ...userPresence
+      });
+
+    } catch (error) {
+      logger.error('Error looking up presence:', error);
+      res.status(500).json({ error: 'Failed to look up presence' });
+    }
+  };
+};
+
+/**
+ * Presence of several users in one call
+ */
+const getBulkPresence = (io) => {
+  return async (req, res) => {
+    try {
+      const { user_ids } = req.body;
+
+      if (!Array.isArray(user_ids) || user_ids.length === 0 || user_ids.length > presence.MAX_BULK_USERS ||
+        !user_ids.every(userId => typeof userId === 'string' || typeof userId === 'number')) {
+        return res.status(400).json({ 
+          error: `user_ids must be an array of 1-${presence.MAX_BULK_USERS} user ids` 
+        });
+      }
+
+      const users = await presence.lookupMany(io, [...new Set(user_ids.map(String))]);
+
+      res.json({ 
+        success: true, 
+        count: users.length,
+        online_count: users.filter(user => user.online).length,
+        users
+      });
+
+    } catch (error) {
+      logger.error('Error looking up presence:', error);
+      res.status(500).json({ error: 'Failed to look up presence' });
+    }
+  };
+};
+
+module.exports = {
+  getPresence,
+  getBulkPresence
+};
@@ -0,0 +1,44 @@
+const logger = require('../utils/logger');
+const routeRecorder = require('../services/routeRecorder');
+const routeFormats = require('../utils/routeFormats');
+
+/**
+ * Export the path driven during a trip as GeoJSON (default) or GPX
+ */
+const getTripRoute = () => {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const format = req.query.format || 'geojson';
+
+      if (!['geojson', 'gpx'].includes(format)) {
+        return res.status(400).json({ 
+          error: "format must be 'geojson' or 'gpx'" 
+        });
+      }
+
+      const route = await routeRecorder.getRoute(id);
+      if (!route) {
+        return res.status(404).json({ 
+          error: 'No route recorded for this trip',
+          trip_id: id
+        });
+      }
+
+      if (format === 'gpx') {
+        res.set('Content-Disposition', `attachment; filename="trip_${String(id).replace(/[^\w-]/g, '_')}.gpx"`);
+        return res.type('application/gpx+xml').send(routeFormats.toGpx(route));
+      }
+
+      res.type('application/geo+json').send(JSON.stringify(routeFormats.toGeoJson(route)));
+
+    } catch (error) {
+      logger.error('Error exporting trip route:', error);
+      res.status(500).json({ error: 'Failed to export trip route' });
+    }
+  };
+};
+
+module.exports = {
+  getTripRoute
+};
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const socketSessions = require('../services/socketSessions');
+
+/**
+ * Revoke a user (e.g. banned) or a single token (e.g. logged out) and
+ * disconnect the affected sockets on every instance
+ */
+const revokeSessions = (io) => {
+  return async (req, res) => {
+    try {
+      const { user_id, jti, expires_at, reason } = req.body;
+
+      if (!user_id && !jti) {
+        return res.status(400).json({ 
+          error: 'user_id or jti is required' 
+        });
+      }
+
+      if (jti && typeof jti !== 'string') {
+        return res.status(400).json({ 
+          error: 'jti must be a string' 
+        });
+      }
+
+      if (expires_at && Number.isNaN(Date.parse(expires_at))) {
+        return res.status(400).json({ 
+          error: 'expires_at must be a date' 
+        });
+      }
+
+      let disconnected = 0;
+      if (user_id) {
+        disconnected += await socketSessions.revokeUser(io, user_id, reason || 'user_revoked');
+      }
+      if (jti) {
+        disconnected += await socketSessions.revokeToken(io, jti, reason || 'token_revoked', expires_at);
+      }
+
+      res.json({ 
+        success: true, 
+        user_id: user_id || null,
+        jti: jti || null,
+        sockets_disconnected: disconnected
+      });
+
+    } catch (error) {
+      logger.error('Error revoking sessions:', error);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  };
+};
+
+module.exports = {
+  revokeSessions
+};
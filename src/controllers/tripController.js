@@ -1,4 +1,18 @@
 const logger = require('../utils/logger');
+const eventLog = require('../services/eventLog');
+const deliveryTracker = require('../services/deliveryTracker');
+const tripState = require('../services/tripState');
+const tripOffers = require('../services/tripOffers');
+const driverLocator = require('../services/driverLocator');
+const driverTracking = require('../services/driverTracking');
+const driverAvailability = require('../services/driverAvailability');
+const routeRecorder = require('../services/routeRecorder');
+const tripChat = require('../services/tripChat');
+const emergencyAlerts = require('../services/emergencyAlerts');
+const emergencyEscalation = require('../services/emergencyEscalation');
+const geo = require('../utils/geo');
+
+const DEFAULT_DISPATCH_LIMIT = parseInt(process.env.DISPATCH_RADIUS_LIMIT) || 20;
 
 /**
  * Handle trip status updates from Laravel backend
@@ -91,6 +105,22 @@ const createTripRequest = (io) => {
 
       logger.info('New trip request received', requestData);
 
+      // Record the open offer so drivers can accept it over the socket. The
+      // legacy endpoint never rejected events, so an out-of-order one is only logged.
+      const transition = await tripState.transition(trip_id, 'sent_to_drivers', {
+        details: {
+          rider_id,
+          pickup_location: geo.toPoint(pickup_location),
+          destination: geo.toPoint(destination)
+        }
+      });
+      if (!transition.ok) {
+        logger.warn('Trip request received for a trip past dispatch', {
+          trip_id,
+          current_state: transition.current_state
+        });
+      }
+
       // Broadcast to nearby drivers and the rider
       await broadcastTripRequest(io, requestData);
 
@@ -141,9 +171,19 @@ const legacyUpdateDriverLocation = (io) => {
 
       logger.info('Driver location update received', { driver_id, location });
 
+      await driverAvailability.activity(io, driver_id);
+
+      // Only free drivers are candidates for radius dispatch, and the middleman's
+      // own availability (switched off, idle, on a trip) overrides the body's flag
+      const dispatchable = locationData.is_available && !current_trip_id && await driverAvailability.isAvailable(driver_id);
+      await driverLocator.track(driver_id, location, dispatchable);
+
       // Broadcast to relevant users (riders in active trips with this driver)
       await broadcastDriverLocation(io, locationData);
 
+      // Operators follow a driver in an unresolved emergency whichever endpoint reports them
+      emergencyEscalation.streamLocation(io, locationData);
+
       res.json({ 
         success: true, 
         message: 'Driver location updated successfully',
@@ -168,16 +208,8 @@ async function broadcastTripUpdate(io, updateData) {
   const driverRoom = driver_id ? `user_${driver_id}` : null;
   const riderRoom = rider_id ? `user_${rider_id}` : null;
 
-  // Broadcast to trip room (anyone subscribed to this specific trip)
-  io.to(tripRoom).emit('trip_status_update', updateData);
-
-  // Broadcast to specific users
-  if (driverRoom) {
-    io.to(driverRoom).emit('trip_status_update', updateData);
-  }
-  if (riderRoom) {
-    io.to(riderRoom).emit('trip_status_update', updateData);
-  }
+  // Broadcast to trip room (anyone subscribed to this specific trip) and specific users
+  eventLog.publish(io, [tripRoom, driverRoom, riderRoom], 'trip_status_update', updateData);
 
   logger.info('Trip update broadcasted', { 
     trip_id, 
@@ -194,18 +226,11 @@ async function broadcastTripRequest(io, requestData) {
 
   // Broadcast to the rider
   const riderRoom = `user_${rider_id}`;
-  io.to(riderRoom).emit('trip_request_created', requestData);
+  eventLog.publish(io, riderRoom, 'trip_request_created', requestData);
 
-  // Broadcast to nearby drivers
-  if (nearby_drivers && nearby_drivers.length > 0) {
-    nearby_drivers.forEach(driverId => {
-      const driverRoom = `user_${driverId}`;
-      io.to(driverRoom).emit('new_trip_request', requestData);
-    });
-  }
-
-  // Also broadcast to general driver pool (drivers who are listening for requests)
-  io.to('available_drivers').emit('new_trip_request', requestData);
+  // Broadcast to nearby drivers and the general driver pool (drivers who are listening for requests)
+  const driverRooms = (nearby_drivers || []).map(driverId => `user_${driverId}`);
+  eventLog.publish(io, [...driverRooms, 'available_drivers'], 'new_trip_request', requestData);
 
   logger.info('Trip request broadcasted', { 
     trip_id, 
@@ -220,15 +245,8 @@ async function broadcastTripRequest(io, requestData) {
 async function broadcastDriverLocation(io, locationData) {
   const { driver_id, current_trip_id } = locationData;
 
-  // If driver is on a trip, broadcast to the rider
-  if (current_trip_id) {
-    const tripRoom = `trip_${current_trip_id}`;
-    io.to(tripRoom).emit('driver_location_update', locationData);
-  }
-
-  // Broadcast to anyone specifically tracking this driver
-  const driverTrackingRoom = `track_driver_${driver_id}`;
-  io.to(driverTrackingRoom).emit('driver_location_update', locationData);
+  // If driver is on a trip, broadcast to the rider, and to anyone specifically tracking this driver
+  driverTracking.broadcastLocation(io, driver_id, current_trip_id, locationData);
 
   logger.info('Driver location broadcasted', { 
     driver_id, 
@@ -237,6 +255,61 @@ async function broadcastDriverLocation(io, locationData) {
   });
 }
 
+// Trip state helpers
+
+/**
+ * Whether Laravel asked to apply an out-of-order transition as a manual correction
+ */
+function isForcedTransition(req) {
+  return String(req.headers['x-force-transition'] || '').toLowerCase() === 'true';
+}
+
+/**
+ * Move the trip to its new lifecycle state, answering 409 when the event is out of order.
+ * Resolves to null when the response has already been sent.
+ */
+async function applyTripTransition(req, res, trip_id, state, details) {
+  const result = await tripState.transition(trip_id, state, {
+    force: isForcedTransition(req),
+    details
+  });
+
+  if (!result.ok) {
+    logger.warn('Rejected out-of-order trip event', { 
+      trip_id, 
+      current_state: result.current_state, 
+      attempted_state: state 
+    });
+
+    res.status(409).json({ 
+      error: 'Invalid trip state transition',
+      message: `Trip ${trip_id} cannot move from '${result.current_state}' to '${state}'`,
+      trip_id,
+      current_state: result.current_state,
+      attempted_state: state,
+      allowed_states: result.allowed_states,
+      hint: 'Resend with header X-Force-Transition: true to apply a correction anyway'
+    });
+    return null;
+  }
+
+  return result;
+}
+
+/**
+ * State fields added to lifecycle responses
+ */
+function tripStateFields(result) {
+  const fields = { trip_state: result.trip?.state || null };
+
+  if (result.forced) {
+    fields.forced_transition = true;
+    fields.previous_state = result.previous_state;
+  }
+
+  return fields;
+}
+
 /**
  * 1. Handle trip requests sent to drivers
  */
@@ -252,16 +325,77 @@ const sendTripToDrivers = (io) => {
         trip_type,
         nearby_drivers,
         trip_data,
-        expires_at
+        expires_at,
+        dispatch_mode, // 'broadcast' (default) or 'waves'
+        ordered_drivers, // waves: drivers closest first
+        wave_size,
+        wave_timeout, // waves: seconds before widening to the next wave
+        dispatch_radius, // metres: pick drivers from live positions instead of a list
+        dispatch_limit
       } = req.body;
 
+      const isWaveDispatch = dispatch_mode === 'waves';
+      const listedDrivers = isWaveDispatch ? (ordered_drivers || nearby_drivers) : nearby_drivers;
+      const isRadiusDispatch = !listedDrivers && dispatch_radius !== undefined;
+
       // Validate required fields
-      if (!trip_id || !rider_id || !pickup_location || !nearby_drivers) {
+      if (!trip_id || !rider_id || !pickup_location || !(listedDrivers || isRadiusDispatch)) {
         return res.status(400).json({ 
-          error: 'trip_id, rider_id, pickup_location, and nearby_drivers are required' 
+          error: isWaveDispatch
+            ? 'trip_id, rider_id, pickup_location, and ordered_drivers or dispatch_radius are required'
+            : 'trip_id, rider_id, pickup_location, and nearby_drivers or dispatch_radius are required' 
         });
       }
 
+      if (dispatch_mode && !['broadcast', 'waves'].includes(dispatch_mode)) {
+        return res.status(400).json({ 
+          error: "dispatch_mode must be 'broadcast' or 'waves'" 
+        });
+      }
+
+      if (isWaveDispatch && (
+        !(isRadiusDispatch || Array.isArray(listedDrivers)) ||
+        (wave_size !== undefined && !(Number.isInteger(wave_size) && wave_size > 0)) ||
+        (wave_timeout !== undefined && !(typeof wave_timeout === 'number' && wave_timeout > 0))
+      )) {
+        return res.status(400).json({ 
+          error: 'ordered_drivers must be an array, wave_size a positive integer and wave_timeout a positive number of seconds' 
+        });
+      }
+
+      // Without a valid expiry the offer is never scheduled, nor sent in waves
+      if (expires_at !== undefined && Number.isNaN(new Date(expires_at).getTime())) {
+        return res.status(400).json({ 
+          error: 'expires_at must be a valid date' 
+        });
+      }
+
+      let candidateDrivers = listedDrivers;
+
+      if (isRadiusDispatch) {
+        const pickupPoint = geo.toPoint(pickup_location);
+        if (
+          !pickupPoint ||
+          !(typeof dispatch_radius === 'number' && dispatch_radius > 0 && dispatch_radius <= driverLocator.MAX_RADIUS_M) ||
+          (dispatch_limit !== undefined && !(Number.isInteger(dispatch_limit) && dispatch_limit > 0 && dispatch_limit <= driverLocator.MAX_RESULTS))
+        ) {
+          return res.status(400).json({ 
+            error: `pickup_location needs valid lat/lng, dispatch_radius must be 1-${driverLocator.MAX_RADIUS_M} metres and dispatch_limit 1-${driverLocator.MAX_RESULTS}` 
+          });
+        }
+
+        // Closest first, which is also the order wave dispatch expects
+        const nearby = await driverLocator.findNearby(pickupPoint, dispatch_radius, dispatch_limit || DEFAULT_DISPATCH_LIMIT);
+        if (nearby.length === 0) {
+          return res.status(422).json({ 
+            error: 'No available drivers within dispatch_radius',
+            trip_id,
+            dispatch_radius 
+          });
+        }
+        candidateDrivers = nearby.map(driver => driver.driver_id);
+      }
+
       const requestData = {
         trip_id,
         rider_id,
@@ -269,23 +403,52 @@ const sendTripToDrivers = (io) => {
         destination,
         fare_estimate,
         trip_type: trip_type || 'standard',
-        nearby_drivers: nearby_drivers || [],
+        nearby_drivers: candidateDrivers || [],
         trip_data,
         status: 'sent_to_drivers',
+        dispatch_mode: isWaveDispatch ? 'waves' : 'broadcast',
         expires_at: expires_at || new Date(Date.now() + 2 * 60 * 1000).toISOString(), // 2 minutes default
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'sent_to_drivers', {
+        rider_id,
+        // Kept for server-side distance and ETA on location updates
+        pickup_location: geo.toPoint(pickup_location),
+        destination: geo.toPoint(destination)
+      });
+      if (!transition) return;
+
       logger.info('Trip sent to drivers', requestData);
 
-      // Broadcast to nearby drivers and the rider
-      await broadcastTripToDrivers(io, requestData);
+      let driversNotified;
+      if (isWaveDispatch) {
+        // Tell the rider, then let the middleman offer the trip wave by wave, closest drivers first
+        await broadcastTripDispatchStarted(io, requestData);
+        const offer = await tripOffers.open(io, requestData, {
+          drivers: candidateDrivers,
+          wave_size,
+          wave_timeout_ms: wave_timeout ? wave_timeout * 1000 : undefined
+        });
+        driversNotified = offer ? offer.drivers.size : 0;
+      } else {
+        // Broadcast to nearby drivers and the rider
+        await broadcastTripToDrivers(io, requestData);
+
+        // Withdraw the offer automatically if nobody accepts before it expires
+        await tripOffers.open(io, requestData);
+        driversNotified = candidateDrivers.length;
+      }
 
       res.json({ 
         success: true, 
         message: 'Trip sent to drivers successfully',
         trip_id,
-        drivers_notified: nearby_drivers.length
+        dispatch_mode: requestData.dispatch_mode,
+        drivers_notified: driversNotified,
+        ...(isRadiusDispatch ? { nearby_drivers: candidateDrivers } : {}),
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -307,7 +470,9 @@ const tripAccepted = (io) => {
         rider_id,
         estimated_arrival,
         driver_location,
-        driver_info
+        driver_info,
+        pickup_location,
+        destination
       } = req.body;
 
       // Validate required fields
@@ -328,16 +493,44 @@ const tripAccepted = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'accepted', {
+        rider_id,
+        driver_id,
+        pickup_location: geo.toPoint(pickup_location),
+        destination: geo.toPoint(destination)
+      });
+      if (!transition) return;
+
+      // The driver already won over the socket and everyone was told then
+      if (!transition.changed) {
+        logger.info('Trip acceptance confirmed by backend', { trip_id, driver_id });
+
+        return res.json({ 
+          success: true, 
+          message: 'Trip acceptance already broadcasted',
+          trip_id,
+          driver_id,
+          already_accepted: true,
+          ...tripStateFields(transition)
+        });
+      }
+
       logger.info('Trip accepted by driver', acceptanceData);
 
+      tripOffers.withdraw(trip_id, { reason: 'accepted_by_another', except: driver_id });
+      await driverAvailability.startTrip(io, driver_id, trip_id);
+
       // Broadcast to rider and other drivers
-      await broadcastTripAcceptance(io, acceptanceData);
+      const eventId = await broadcastTripAcceptance(io, acceptanceData);
 
       res.json({ 
         success: true, 
         message: 'Trip acceptance broadcasted successfully',
         trip_id,
-        driver_id
+        driver_id,
+        event_id: eventId,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -377,8 +570,14 @@ const tripNoLongerAvailable = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'no_longer_available', {});
+      if (!transition) return;
+
       logger.info('Trip no longer available', unavailableData);
 
+      tripOffers.withdraw(trip_id, { reason, except: accepted_by_driver_id });
+
       // Notify remaining drivers
       await broadcastTripUnavailable(io, unavailableData, remaining_drivers);
 
@@ -387,7 +586,8 @@ const tripNoLongerAvailable = (io) => {
         message: 'Trip unavailability broadcasted successfully',
         trip_id,
         reason,
-        drivers_notified: remaining_drivers?.length || 0
+        drivers_notified: remaining_drivers?.length || 0,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -432,6 +632,10 @@ const driverArrived = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'driver_arrived', { rider_id, driver_id });
+      if (!transition) return;
+
       logger.info('Driver arrived for pickup', arrivalData);
 
       // Broadcast to rider
@@ -441,7 +645,8 @@ const driverArrived = (io) => {
         success: true, 
         message: 'Driver arrival broadcasted successfully',
         trip_id,
-        driver_id
+        driver_id,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -487,8 +692,15 @@ const tripStarted = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'started', { rider_id, driver_id });
+      if (!transition) return;
+
       logger.info('Trip started', startData);
 
+      // Record the path driven from here until the trip completes or is cancelled
+      await routeRecorder.start(trip_id);
+
       // Broadcast to both rider and driver
       await broadcastTripStart(io, startData);
 
@@ -496,7 +708,8 @@ const tripStarted = (io) => {
         success: true, 
         message: 'Trip start broadcasted successfully',
         trip_id,
-        start_time: startData.start_time
+        start_time: startData.start_time,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -546,16 +759,26 @@ const tripCompleted = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'completed', { rider_id, driver_id });
+      if (!transition) return;
+
       logger.info('Trip completed', completionData);
 
+      await routeRecorder.finish(trip_id, 'completed');
+      await tripChat.close(io, transition.trip, 'trip_completed');
+      await driverAvailability.endTrip(io, driver_id, trip_id);
+
       // Broadcast to both rider and driver
-      await broadcastTripCompletion(io, completionData);
+      const eventId = await broadcastTripCompletion(io, completionData);
 
       res.json({ 
         success: true, 
         message: 'Trip completion broadcasted successfully',
         trip_id,
-        completion_time: completionData.completion_time
+        completion_time: completionData.completion_time,
+        event_id: eventId,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -601,16 +824,31 @@ const tripCancelled = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Reject out-of-order lifecycle events
+      const transition = await applyTripTransition(req, res, trip_id, 'cancelled', { rider_id, driver_id });
+      if (!transition) return;
+
       logger.info('Trip cancelled', cancellationData);
 
+      tripOffers.withdraw(trip_id, { reason: 'cancelled' });
+      await routeRecorder.finish(trip_id, 'cancelled');
+      await tripChat.close(io, transition.trip, 'trip_cancelled');
+
+      const tripDriverId = driver_id || transition.trip?.driver_id;
+      if (tripDriverId) {
+        await driverAvailability.endTrip(io, tripDriverId, trip_id);
+      }
+
       // Broadcast to relevant parties
-      await broadcastTripCancellation(io, cancellationData);
+      const eventId = await broadcastTripCancellation(io, cancellationData);
 
       res.json({ 
         success: true, 
         message: 'Trip cancellation broadcasted successfully',
         trip_id,
-        cancelled_by
+        cancelled_by,
+        event_id: eventId,
+        ...tripStateFields(transition)
       });
 
     } catch (error) {
@@ -658,8 +896,11 @@ const updateDriverLocation = (io) => {
 
       logger.debug('Driver location update received', { driver_id, trip_id, location });
 
-      // Broadcast to relevant users
-      await broadcastDriverLocation(io, locationData);
+      // Drivers whose GPS goes through Laravel are not idle either
+      await driverAvailability.activity(io, driver_id);
+
+      // Index the position and broadcast to relevant users
+      await driverTracking.publishLocation(io, locationData);
 
       res.json({ 
         success: true, 
@@ -766,17 +1007,26 @@ const emergencyAlert = (io) => {
         timestamp: new Date().toISOString()
       };
 
+      // Track the alert until a safety operator resolves it
+      const alert = await emergencyAlerts.open(emergencyData);
+      emergencyData.alert_id = alert.alert_id;
+
       logger.error('EMERGENCY ALERT', emergencyData);
 
       // Broadcast emergency alert
-      await broadcastEmergencyAlert(io, emergencyData);
+      const eventId = await broadcastEmergencyAlert(io, emergencyData);
+
+      // Escalate if no safety operator acknowledges it in time
+      emergencyEscalation.watch(io, alert);
 
       res.json({ 
         success: true, 
         message: 'Emergency alert broadcasted successfully',
         trip_id,
+        alert_id: alert.alert_id,
         alert_type,
-        alert_time: emergencyData.alert_time
+        alert_time: emergencyData.alert_time,
+        event_id: eventId
       });
 
     } catch (error) {
@@ -796,18 +1046,11 @@ async function broadcastTripToDrivers(io, requestData) {
 
   // Broadcast to the rider
   const riderRoom = `user_${rider_id}`;
-  io.to(riderRoom).emit('trip_sent_to_drivers', requestData);
-
-  // Broadcast to nearby drivers
-  if (nearby_drivers && nearby_drivers.length > 0) {
-    nearby_drivers.forEach(driverId => {
-      const driverRoom = `user_${driverId}`;
-      io.to(driverRoom).emit('new_trip_request', requestData);
-    });
-  }
+  eventLog.publish(io, riderRoom, 'trip_sent_to_drivers', requestData);
 
-  // Also broadcast to general driver pool
-  io.to('available_drivers').emit('new_trip_request', requestData);
+  // Broadcast to nearby drivers and the general driver pool
+  const driverRooms = (nearby_drivers || []).map(driverId => `user_${driverId}`);
+  eventLog.publish(io, [...driverRooms, 'available_drivers'], 'new_trip_request', requestData);
 
   logger.info('Trip request broadcasted to drivers', { 
     trip_id, 
@@ -816,21 +1059,37 @@ async function broadcastTripToDrivers(io, requestData) {
   });
 }
 
+/**
+ * Tell the rider their trip is being offered to drivers wave by wave
+ */
+async function broadcastTripDispatchStarted(io, requestData) {
+  const { trip_id, rider_id, nearby_drivers } = requestData;
+
+  // Broadcast to the rider; drivers are reached wave by wave
+  const riderRoom = `user_${rider_id}`;
+  eventLog.publish(io, riderRoom, 'trip_sent_to_drivers', requestData);
+
+  logger.info('Wave dispatch started', { 
+    trip_id, 
+    rider_id, 
+    candidate_drivers_count: nearby_drivers.length 
+  });
+}
+
 /**
  * Broadcast trip acceptance to rider and other drivers
  */
 async function broadcastTripAcceptance(io, acceptanceData) {
   const { trip_id, driver_id, rider_id } = acceptanceData;
 
-  // Broadcast to the rider
+  // Broadcast to the rider and the trip room
   const riderRoom = `user_${rider_id}`;
-  io.to(riderRoom).emit('trip_accepted', acceptanceData);
-
-  // Broadcast to trip room
   const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('trip_accepted', acceptanceData);
+  const eventId = deliveryTracker.publishWithAck(io, [riderRoom, tripRoom], 'trip_accepted', acceptanceData);
+
+  logger.info('Trip acceptance broadcasted', { trip_id, driver_id, rider_id, event_id: eventId });
 
-  logger.info('Trip acceptance broadcasted', { trip_id, driver_id, rider_id });
+  return eventId;
 }
 
 /**
@@ -839,16 +1098,9 @@ async function broadcastTripAcceptance(io, acceptanceData) {
 async function broadcastTripUnavailable(io, unavailableData, remainingDrivers) {
   const { trip_id, reason } = unavailableData;
 
-  // Broadcast to remaining drivers who were trying to accept
-  if (remainingDrivers && remainingDrivers.length > 0) {
-    remainingDrivers.forEach(driverId => {
-      const driverRoom = `user_${driverId}`;
-      io.to(driverRoom).emit('trip_no_longer_available', unavailableData);
-    });
-  }
-
-  // Also broadcast to general driver pool
-  io.to('available_drivers').emit('trip_no_longer_available', unavailableData);
+  // Broadcast to remaining drivers who were trying to accept, and the general driver pool
+  const driverRooms = (remainingDrivers || []).map(driverId => `user_${driverId}`);
+  eventLog.publish(io, [...driverRooms, 'available_drivers'], 'trip_no_longer_available', unavailableData);
 
   logger.info('Trip unavailability broadcasted', { 
     trip_id, 
@@ -863,13 +1115,10 @@ async function broadcastTripUnavailable(io, unavailableData, remainingDrivers) {
 async function broadcastDriverArrival(io, arrivalData) {
   const { trip_id, driver_id, rider_id } = arrivalData;
 
-  // Broadcast to the rider
+  // Broadcast to the rider and the trip room
   const riderRoom = `user_${rider_id}`;
-  io.to(riderRoom).emit('driver_arrived', arrivalData);
-
-  // Broadcast to trip room
   const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('driver_arrived', arrivalData);
+  eventLog.publish(io, [riderRoom, tripRoom], 'driver_arrived', arrivalData);
 
   logger.info('Driver arrival broadcasted', { trip_id, driver_id, rider_id });
 }
@@ -885,9 +1134,7 @@ async function broadcastTripStart(io, startData) {
   const driverRoom = `user_${driver_id}`;
   const tripRoom = `trip_${trip_id}`;
 
-  io.to(riderRoom).emit('trip_started', startData);
-  io.to(driverRoom).emit('trip_started', startData);
-  io.to(tripRoom).emit('trip_started', startData);
+  eventLog.publish(io, [riderRoom, driverRoom, tripRoom], 'trip_started', startData);
 
   logger.info('Trip start broadcasted', { trip_id, driver_id, rider_id });
 }
@@ -903,11 +1150,11 @@ async function broadcastTripCompletion(io, completionData) {
   const driverRoom = `user_${driver_id}`;
   const tripRoom = `trip_${trip_id}`;
 
-  io.to(riderRoom).emit('trip_completed', completionData);
-  io.to(driverRoom).emit('trip_completed', completionData);
-  io.to(tripRoom).emit('trip_completed', completionData);
+  const eventId = deliveryTracker.publishWithAck(io, [riderRoom, driverRoom, tripRoom], 'trip_completed', completionData);
 
-  logger.info('Trip completion broadcasted', { trip_id, driver_id, rider_id });
+  logger.info('Trip completion broadcasted', { trip_id, driver_id, rider_id, event_id: eventId });
+
+  return eventId;
 }
 
 /**
@@ -916,45 +1163,15 @@ async function broadcastTripCompletion(io, completionData) {
 async function broadcastTripCancellation(io, cancellationData) {
   const { trip_id, driver_id, rider_id, cancelled_by } = cancellationData;
 
-  // Broadcast to both parties if they exist
-  if (rider_id) {
-    const riderRoom = `user_${rider_id}`;
-    io.to(riderRoom).emit('trip_cancelled', cancellationData);
-  }
-  
-  if (driver_id) {
-    const driverRoom = `user_${driver_id}`;
-    io.to(driverRoom).emit('trip_cancelled', cancellationData);
-  }
-
-  // Broadcast to trip room
+  // Broadcast to both parties if they exist, and to the trip room
+  const riderRoom = rider_id ? `user_${rider_id}` : null;
+  const driverRoom = driver_id ? `user_${driver_id}` : null;
   const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('trip_cancelled', cancellationData);
-
-  logger.info('Trip cancellation broadcasted', { trip_id, driver_id, rider_id, cancelled_by });
-}
-
-/**
- * Broadcast driver location updates to relevant riders
- */
-async function broadcastDriverLocation(io, locationData) {
-  const { driver_id, trip_id } = locationData;
-
-  // If driver is on a trip, broadcast to the rider
-  if (trip_id) {
-    const tripRoom = `trip_${trip_id}`;
-    io.to(tripRoom).emit('driver_location_update', locationData);
-  }
+  const eventId = deliveryTracker.publishWithAck(io, [riderRoom, driverRoom, tripRoom], 'trip_cancelled', cancellationData);
 
-  // Broadcast to anyone specifically tracking this driver
-  const driverTrackingRoom = `track_driver_${driver_id}`;
-  io.to(driverTrackingRoom).emit('driver_location_update', locationData);
+  logger.info('Trip cancellation broadcasted', { trip_id, driver_id, rider_id, cancelled_by, event_id: eventId });
 
-  logger.debug('Driver location broadcasted', { 
-    driver_id, 
-    trip_id,
-    has_active_trip: !!trip_id 
-  });
+  return eventId;
 }
 
 /**
@@ -963,20 +1180,11 @@ async function broadcastDriverLocation(io, locationData) {
 async function broadcastPaymentUpdate(io, paymentData) {
   const { trip_id, driver_id, rider_id, payment_status } = paymentData;
 
-  // Broadcast to both parties
-  if (rider_id) {
-    const riderRoom = `user_${rider_id}`;
-    io.to(riderRoom).emit('payment_update', paymentData);
-  }
-  
-  if (driver_id) {
-    const driverRoom = `user_${driver_id}`;
-    io.to(driverRoom).emit('payment_update', paymentData);
-  }
-
-  // Broadcast to trip room
+  // Broadcast to both parties and the trip room
+  const riderRoom = rider_id ? `user_${rider_id}` : null;
+  const driverRoom = driver_id ? `user_${driver_id}` : null;
   const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('payment_update', paymentData);
+  eventLog.publish(io, [riderRoom, driverRoom, tripRoom], 'payment_update', paymentData);
 
   logger.info('Payment update broadcasted', { trip_id, payment_status });
 }
@@ -987,25 +1195,15 @@ async function broadcastPaymentUpdate(io, paymentData) {
 async function broadcastEmergencyAlert(io, emergencyData) {
   const { trip_id, driver_id, rider_id, alert_type, triggered_by } = emergencyData;
 
-  // Broadcast to both parties
-  if (rider_id) {
-    const riderRoom = `user_${rider_id}`;
-    io.to(riderRoom).emit('emergency_alert', emergencyData);
-  }
-  
-  if (driver_id) {
-    const driverRoom = `user_${driver_id}`;
-    io.to(driverRoom).emit('emergency_alert', emergencyData);
-  }
-
-  // Broadcast to trip room
+  // Broadcast to both parties, the trip room and the emergency monitoring room (for admin/support)
+  const riderRoom = rider_id ? `user_${rider_id}` : null;
+  const driverRoom = driver_id ? `user_${driver_id}` : null;
   const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('emergency_alert', emergencyData);
+  const eventId = deliveryTracker.publishWithAck(io, [riderRoom, driverRoom, tripRoom, 'emergency_monitoring'], 'emergency_alert', emergencyData);
 
-  // Broadcast to emergency monitoring room (for admin/support)
-  io.to('emergency_monitoring').emit('emergency_alert', emergencyData);
+  logger.error('Emergency alert broadcasted', { trip_id, alert_type, triggered_by, event_id: eventId });
 
-  logger.error('Emergency alert broadcasted', { trip_id, alert_type, triggered_by });
+  return eventId;
 }
 
 module.exports = {
@@ -1019,6 +1217,7 @@ module.exports = {
   tripStarted,
   tripCompleted,
   tripCancelled,
+  updateDriverLocation,
   paymentUpdate,
   emergencyAlert
 }; 
\ No newline at end of file
@@ -1,4 +1,22 @@
 const logger = require('../utils/logger');
+const eventLog = require('../services/eventLog');
+const deliveryTracker = require('../services/deliveryTracker');
+const tripState = require('../services/tripState');
+const tripOffers = require('../services/tripOffers');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const driverTracking = require('../services/driverTracking');
+const driverAvailability = require('../services/driverAvailability');
+const tripChat = require('../services/tripChat');
+const presence = require('../services/presence');
+const connections = require('../services/connections');
+const socketSessions = require('../services/socketSessions');
+const emergencyAlerts = require('../services/emergencyAlerts');
+const emergencyEscalation = require('../services/emergencyEscalation');
+const geo = require('../utils/geo');
+const authMiddleware = require('../middleware/auth');
+
+// Trip states in which the assigned driver's position is published into the trip
+const ACTIVE_TRIP_STATES = ['accepted', 'driver_arrived', 'started'];
 
 /**
  * Handle new WebSocket connections
@@ -13,13 +31,25 @@ function handleConnection(socket, io) {
     userEmail 
   });
 
+  connections.register(socket);
+  socketSessions.track(socket, socket.tokenClaims);
+
   // Join user to their personal room
   const userRoom = `user_${userId}`;
   socket.join(userRoom);
+  presence.socketConnected(socket);
 
-  // Join drivers to available drivers room if they're available
+  // Join drivers to available drivers room if they're available, restoring
+  // drivers who dropped off or went idle
   if (userType === 'driver') {
-    socket.join('available_drivers');
+    driverAvailability.connected(io, socket).catch((error) => {
+      logger.error('Error restoring driver availability', { socketId: socket.id, userId, error: error.message });
+    });
+  }
+
+  // Safety operators watch every SOS alert
+  if (userType === 'safety_operator') {
+    socket.join('emergency_monitoring');
   }
 
   // Send connection confirmation
@@ -30,6 +60,17 @@ function handleConnection(socket, io) {
     timestamp: new Date().toISOString()
   });
 
+  // Replay anything sent to the user's room while they were offline
+  const lastEventId = socket.handshake.auth?.last_event_id ?? socket.handshake.query?.last_event_id;
+  eventLog.replayToSocket(socket, [userRoom], lastEventId);
+
+  // Bring a (re)connecting operator up to date with the alerts still needing attention
+  if (userType === 'safety_operator') {
+    sendActiveEmergencies(socket).catch((error) => {
+      logger.error('Error sending open emergencies', { socketId: socket.id, userId, error: error.message });
+    });
+  }
+
   // Handle trip subscription
   socket.on('subscribe_trip', (data) => {
     handleTripSubscription(socket, data);
@@ -42,7 +83,18 @@ function handleConnection(socket, io) {
 
   // Handle driver availability toggle
   socket.on('toggle_availability', (data) => {
-    handleDriverAvailability(socket, data);
+    handleDriverAvailability(socket, io, data).catch((error) => {
+      logger.error('Error toggling driver availability', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to update availability' });
+    });
+  });
+
+  // Handle GPS updates pushed directly by the driver app
+  socket.on('driver_location', (data) => {
+    handleDriverLocation(socket, io, data).catch((error) => {
+      logger.error('Error handling driver location', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to process driver location' });
+    });
   });
 
   // Handle driver location tracking subscription
@@ -52,22 +104,85 @@ function handleConnection(socket, io) {
 
   // Handle trip acceptance (driver accepting a trip request)
   socket.on('accept_trip', (data) => {
-    handleTripAcceptance(socket, io, data);
+    handleTripAcceptance(socket, io, data).catch((error) => {
+      logger.error('Error handling trip acceptance', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to process trip acceptance' });
+    });
   });
 
   // Handle trip rejection (driver rejecting a trip request)
   socket.on('reject_trip', (data) => {
-    handleTripRejection(socket, io, data);
+    handleTripRejection(socket, io, data).catch((error) => {
+      logger.error('Error handling trip rejection', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to process trip rejection' });
+    });
+  });
+
+  // Handle delivery acknowledgements for critical events
+  socket.on('event_ack', (data) => {
+    handleEventAck(socket, data);
+  });
+
+  // Handle safety operators taking charge of and closing SOS alerts
+  socket.on('acknowledge_emergency', (data) => {
+    handleEmergencyAcknowledgement(socket, io, data).catch((error) => {
+      logger.error('Error acknowledging emergency', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to acknowledge emergency' });
+    });
+  });
+
+  socket.on('resolve_emergency', (data) => {
+    handleEmergencyResolution(socket, io, data).catch((error) => {
+      logger.error('Error resolving emergency', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to resolve emergency' });
+    });
+  });
+
+  // Handle the in-trip chat between rider and driver
+  socket.on('chat_message', (data) => {
+    handleChatMessage(socket, io, data).catch((error) => {
+      logger.error('Error handling chat message', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to send chat message' });
+    });
+  });
+
+  socket.on('typing', (data) => {
+    handleTyping(socket, io, data).catch((error) => {
+      logger.error('Error handling typing indicator', { socketId: socket.id, userId, error: error.message });
+    });
+  });
+
+  socket.on('message_read', (data) => {
+    handleMessageRead(socket, io, data).catch((error) => {
+      logger.error('Error handling message read', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to mark message as read' });
+    });
+  });
+
+  socket.on('chat_history', (data) => {
+    handleChatHistory(socket, data).catch((error) => {
+      logger.error('Error sending chat history', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to load chat history' });
+    });
+  });
+
+  // Handle a new token sent before the current one expires
+  socket.on('refresh_token', (data) => {
+    handleTokenRefresh(socket, data).catch((error) => {
+      logger.error('Error refreshing socket token', { socketId: socket.id, userId, error: error.message });
+      socket.emit('error', { message: 'Failed to refresh token' });
+    });
   });
 
   // Handle client heartbeat/ping
   socket.on('ping', () => {
     socket.emit('pong', { timestamp: new Date().toISOString() });
+    recordHeartbeat(socket, io);
   });
 
   // Handle disconnection
   socket.on('disconnect', (reason) => {
-    handleDisconnection(socket, reason);
+    handleDisconnection(socket, io, reason);
   });
 
   // Handle errors
@@ -84,7 +199,7 @@ function handleConnection(socket, io) {
  * Handle trip subscription (client wants to receive updates for a specific trip)
  */
 function handleTripSubscription(socket, data) {
-  const { trip_id } = data;
+  const { trip_id, last_event_id } = data;
   
   if (!trip_id) {
     socket.emit('error', { message: 'trip_id is required for subscription' });
@@ -104,6 +219,9 @@ function handleTripSubscription(socket, data) {
     trip_id, 
     message: 'Successfully subscribed to trip updates' 
   });
+
+  // Resubscribing after a reconnect: catch up on the trip room as well
+  eventLog.replayToSocket(socket, [tripRoom], last_event_id);
 }
 
 /**
@@ -135,34 +253,111 @@ function handleTripUnsubscription(socket, data) {
 /**
  * Handle driver availability toggle
  */
-function handleDriverAvailability(socket, data) {
+async function handleDriverAvailability(socket, io, data) {
   if (socket.userType !== 'driver') {
     socket.emit('error', { message: 'Only drivers can toggle availability' });
     return;
   }
 
   const { is_available } = data;
-  
-  if (is_available) {
-    socket.join('available_drivers');
-    logger.info('Driver became available', { 
-      socketId: socket.id, 
-      userId: socket.userId 
-    });
-  } else {
-    socket.leave('available_drivers');
-    logger.info('Driver became unavailable', { 
-      socketId: socket.id, 
-      userId: socket.userId 
-    });
-  }
 
+  // Moves all of the driver's sockets in or out of available_drivers and tells Laravel
+  const state = await driverAvailability.setManual(io, socket.userId, Boolean(is_available));
+
+  logger.info('Driver toggled availability', { 
+    socketId: socket.id, 
+    userId: socket.userId,
+    requested: Boolean(is_available),
+    is_available: state.is_available,
+    reason: state.reason
+  });
+
+  // A driver switching on during a trip stays unavailable (reason on_trip) until it ends
   socket.emit('availability_updated', { 
-    is_available, 
-    message: `Driver availability set to ${is_available ? 'available' : 'unavailable'}` 
+    is_available: state.is_available, 
+    reason: state.reason,
+    message: `Driver availability set to ${state.is_available ? 'available' : 'unavailable'}` 
+  });
+}
+
+/**
+ * Reset a driver's idle timer on any sign of life
+ */
+function recordHeartbeat(socket, io) {
+  if (socket.userType !== 'driver') return;
+
+  driverAvailability.heartbeat(io, socket.userId).catch((error) => {
+    logger.error('Error recording driver heartbeat', { socketId: socket.id, userId: socket.userId, error: error.message });
   });
 }
 
+/**
+ * Handle a location update sent by the driver's own socket, fanned out exactly
+ * like POST /api/driver/location-update and synced to Laravel in batches
+ */
+async function handleDriverLocation(socket, io, data) {
+  if (socket.userType !== 'driver') {
+    socket.emit('error', { message: 'Only drivers can send location updates' });
+    return;
+  }
+
+  const {
+    trip_id,
+    location,
+    heading,
+    speed,
+    estimated_arrival,
+    distance_to_pickup,
+    distance_to_destination
+  } = data || {};
+
+  if (!geo.toPoint(location)) {
+    socket.emit('error', { message: 'location with valid lat and lng is required' });
+    return;
+  }
+
+  if ((heading !== undefined && !(typeof heading === 'number' && heading >= 0 && heading <= 360)) ||
+    (speed !== undefined && !(typeof speed === 'number' && speed >= 0))) {
+    socket.emit('error', { message: 'heading must be 0-360 and speed a non-negative number' });
+    return;
+  }
+
+  // Drivers may only publish into trips they have been assigned and are driving
+  if (trip_id) {
+    const trip = await tripState.getTrip(trip_id);
+
+    if (!trip || String(trip.driver_id) !== String(socket.userId) || !ACTIVE_TRIP_STATES.includes(trip.state)) {
+      logger.warn('Driver location rejected for trip', {
+        trip_id,
+        driver_id: socket.userId,
+        trip_driver_id: trip?.driver_id,
+        state: trip?.state
+      });
+      socket.emit('error', { message: 'Not an active trip for this driver', trip_id });
+      return;
+    }
+  }
+
+  const locationData = {
+    driver_id: socket.userId,
+    trip_id,
+    location,
+    heading,
+    speed,
+    estimated_arrival,
+    distance_to_pickup,
+    distance_to_destination,
+    timestamp: new Date().toISOString()
+  };
+
+  recordHeartbeat(socket, io);
+
+  await driverTracking.publishLocation(io, locationData);
+
+  // Laravel no longer sees these positions first-hand
+  driverTracking.queueSync(locationData);
+}
+
 /**
  * Handle driver location tracking subscription
  */
@@ -190,9 +385,13 @@ function handleDriverTracking(socket, data) {
 }
 
 /**
- * Handle trip acceptance by driver
+ * Handle trip acceptance by driver.
+ *
+ * Only the first valid acceptance of an open offer wins; the trip state
+ * transition is atomic (across instances when Redis is present), so drivers
+ * tapping at the same time cannot both be confirmed.
  */
-function handleTripAcceptance(socket, io, data) {
+async function handleTripAcceptance(socket, io, data) {
   if (socket.userType !== 'driver') {
     socket.emit('error', { message: 'Only drivers can accept trips' });
     return;
@@ -205,43 +404,140 @@ function handleTripAcceptance(socket, io, data) {
     return;
   }
 
+  if (!(await tripOffers.isOfferedTo(trip_id, socket.userId))) {
+    logger.warn('Trip acceptance from a driver outside the dispatched waves', { 
+      trip_id, 
+      driver_id: socket.userId,
+      socketId: socket.id 
+    });
+
+    socket.emit('error', { message: 'Trip was not offered to you', trip_id, reason: 'not_offered' });
+    return;
+  }
+
+  const result = await tripState.transition(trip_id, 'accepted', {
+    onlyFrom: ['sent_to_drivers'],
+    details: { driver_id: socket.userId }
+  });
+
+  if (!result.ok) {
+    const unavailableData = {
+      trip_id,
+      status: 'no_longer_available',
+      reason: closedOfferReason(result.current_state),
+      timestamp: new Date().toISOString()
+    };
+
+    logger.info('Trip acceptance refused', { 
+      trip_id, 
+      driver_id: socket.userId,
+      current_state: result.current_state,
+      reason: unavailableData.reason,
+      socketId: socket.id 
+    });
+
+    socket.emit('trip_no_longer_available', unavailableData);
+    return;
+  }
+
   const acceptanceData = {
     trip_id,
     driver_id: socket.userId,
+    rider_id: result.trip.rider_id,
     status: 'accepted',
     estimated_arrival,
     timestamp: new Date().toISOString()
   };
 
-  // Broadcast acceptance to trip room
-  const tripRoom = `trip_${trip_id}`;
-  io.to(tripRoom).emit('trip_accepted', acceptanceData);
+  // A repeated tap from the driver who already won is confirmed again without re-broadcasting
+  if (result.changed) {
+    tripOffers.withdraw(trip_id, { reason: 'accepted_by_another', except: socket.userId });
 
-  logger.info('Trip accepted by driver', { 
-    trip_id, 
-    driver_id: socket.userId,
-    socketId: socket.id 
-  });
+    const riderRoom = result.trip.rider_id ? `user_${result.trip.rider_id}` : null;
+    const tripRoom = `trip_${trip_id}`;
+    deliveryTracker.publishWithAck(io, [riderRoom, tripRoom], 'trip_accepted', acceptanceData);
+
+    // Laravel learns about the winning driver without a separate mobile API call
+    webhookDispatcher.dispatch('driver.trip_accepted', acceptanceData);
+
+    await driverAvailability.startTrip(io, socket.userId, trip_id);
+
+    logger.info('Trip accepted by driver', { 
+      trip_id, 
+      driver_id: socket.userId,
+      socketId: socket.id 
+    });
+  }
 
   socket.emit('trip_acceptance_confirmed', acceptanceData);
 }
 
 /**
- * Handle trip rejection by driver
+ * Reason given to a driver whose acceptance arrived after the offer closed
+ */
+function closedOfferReason(state) {
+  switch (state) {
+    case 'accepted':
+    case 'driver_arrived':
+    case 'started':
+    case 'completed':
+      return 'accepted_by_another';
+    case 'cancelled':
+      return 'cancelled';
+    case 'no_longer_available':
+      return 'offer_closed';
+    default:
+      return 'offer_not_found';
+  }
+}
+
+/**
+ * Handle trip rejection by driver. Only an open offer the driver was sent can be
+ * rejected, so Laravel is not told about trips the driver never saw.
  */
-function handleTripRejection(socket, io, data) {
+async function handleTripRejection(socket, io, data) {
   if (socket.userType !== 'driver') {
     socket.emit('error', { message: 'Only drivers can reject trips' });
     return;
   }
 
-  const { trip_id, reason } = data;
+  const { trip_id, reason } = data || {};
   
   if (!trip_id) {
     socket.emit('error', { message: 'trip_id is required' });
     return;
   }
 
+  const trip = await tripState.getTrip(trip_id);
+
+  if (trip?.state !== 'sent_to_drivers') {
+    logger.info('Trip rejection for a closed offer ignored', { 
+      trip_id, 
+      driver_id: socket.userId,
+      current_state: trip?.state || null,
+      socketId: socket.id 
+    });
+
+    socket.emit('trip_no_longer_available', {
+      trip_id,
+      status: 'no_longer_available',
+      reason: closedOfferReason(trip?.state),
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  if (!(await tripOffers.isOfferedTo(trip_id, socket.userId))) {
+    logger.warn('Trip rejection from a driver outside the dispatched waves', { 
+      trip_id, 
+      driver_id: socket.userId,
+      socketId: socket.id 
+    });
+
+    socket.emit('error', { message: 'Trip was not offered to you', trip_id, reason: 'not_offered' });
+    return;
+  }
+
   const rejectionData = {
     trip_id,
     driver_id: socket.userId,
@@ -256,13 +552,262 @@ function handleTripRejection(socket, io, data) {
     socketId: socket.id 
   });
 
+  webhookDispatcher.dispatch('driver.trip_rejected', rejectionData);
+
   socket.emit('trip_rejection_confirmed', rejectionData);
 }
 
+/**
+ * Handle a client acknowledging receipt of a critical event
+ */
+function handleEventAck(socket, data) {
+  const { event_id } = data || {};
+
+  if (!event_id) {
+    socket.emit('error', { message: 'event_id is required' });
+    return;
+  }
+
+  deliveryTracker.acknowledge(socket.userId, event_id);
+}
+
+/**
+ * Send a safety operator every alert that is still open or acknowledged
+ */
+async function sendActiveEmergencies(socket) {
+  const alerts = await emergencyAlerts.listActive();
+
+  socket.emit('open_emergencies', {
+    alerts,
+    count: alerts.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle a safety operator acknowledging an SOS alert
+ */
+async function handleEmergencyAcknowledgement(socket, io, data) {
+  if (socket.userType !== 'safety_operator') {
+    socket.emit('error', { message: 'Only safety operators can acknowledge emergencies' });
+    return;
+  }
+
+  const { alert_id } = data || {};
+
+  if (!alert_id) {
+    socket.emit('error', { message: 'alert_id is required' });
+    return;
+  }
+
+  const result = await emergencyAlerts.acknowledge(alert_id, operatorOf(socket));
+  if (!result.ok) {
+    socket.emit('error', { message: 'Emergency cannot be acknowledged', alert_id, reason: result.reason });
+    return;
+  }
+
+  logger.warn('Emergency acknowledged', { alert_id, trip_id: result.alert.trip_id, operator_id: socket.userId });
+
+  // Tell the rider and driver a human is on it, and the other operators that it is taken
+  broadcastEmergencyUpdate(io, 'emergency_acknowledged', result.alert, {
+    acknowledged_by: result.alert.acknowledged_by.operator_id,
+    acknowledged_at: result.alert.acknowledged_at,
+    message: 'A safety operator has seen your alert and is responding'
+  });
+
+  webhookDispatcher.dispatch('operator.emergency_acknowledged', result.alert);
+}
+
+/**
+ * Handle a safety operator closing an SOS alert
+ */
+async function handleEmergencyResolution(socket, io, data) {
+  if (socket.userType !== 'safety_operator') {
+    socket.emit('error', { message: 'Only safety operators can resolve emergencies' });
+    return;
+  }
+
+  const { alert_id, resolution, notes } = data || {};
+
+  if (!alert_id) {
+    socket.emit('error', { message: 'alert_id is required' });
+    return;
+  }
+
+  const result = await emergencyAlerts.resolve(alert_id, operatorOf(socket), {
+    outcome: resolution || 'resolved',
+    notes
+  });
+  if (!result.ok) {
+    socket.emit('error', { message: 'Emergency cannot be resolved', alert_id, reason: result.reason });
+    return;
+  }
+
+  logger.warn('Emergency resolved', { alert_id, trip_id: result.alert.trip_id, operator_id: socket.userId, resolution });
+
+  emergencyEscalation.stop(result.alert);
+
+  broadcastEmergencyUpdate(io, 'emergency_resolved', result.alert, {
+    resolved_by: result.alert.resolved_by.operator_id,
+    resolved_at: result.alert.resolved_at,
+    resolution: result.alert.resolution.outcome,
+    message: 'Your emergency alert has been resolved'
+  });
+
+  webhookDispatcher.dispatch('operator.emergency_resolved', result.alert);
+}
+
+function operatorOf(socket) {
+  return { operator_id: socket.userId, email: socket.userEmail };
+}
+
+/**
+ * Send an alert status change to the people in the trip and to the monitoring room
+ */
+function broadcastEmergencyUpdate(io, event, alert, fields) {
+  const { alert_id, trip_id, rider_id, driver_id, alert_type, status } = alert;
+  const rooms = [
+    rider_id ? `user_${rider_id}` : null,
+    driver_id ? `user_${driver_id}` : null,
+    `trip_${trip_id}`,
+    'emergency_monitoring'
+  ];
+
+  deliveryTracker.publishWithAck(io, rooms, event, {
+    alert_id,
+    trip_id,
+    alert_type,
+    status,
+    ...fields,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle a chat message from the trip's rider or driver
+ */
+async function handleChatMessage(socket, io, data) {
+  const { trip_id, text, client_message_id } = data || {};
+
+  if (!trip_id) {
+    socket.emit('error', { message: 'trip_id is required' });
+    return;
+  }
+
+  const result = await tripChat.send(io, trip_id, socket.userId, text);
+  if (!result.ok) {
+    socket.emit('error', { message: 'Chat message not sent', trip_id, client_message_id, reason: result.reason });
+    return;
+  }
+
+  // Lets the sender match its optimistic copy to the stored message
+  socket.emit('chat_message_sent', {
+    trip_id,
+    client_message_id,
+    message_id: result.message.message_id,
+    sent_at: result.message.sent_at
+  });
+}
+
+/**
+ * Handle typing indicators; dropped silently when the sender may not chat
+ */
+async function handleTyping(socket, io, data) {
+  const { trip_id, is_typing } = data || {};
+  if (!trip_id) return;
+
+  await tripChat.typing(io, trip_id, socket.userId, is_typing !== false);
+}
+
+/**
+ * Handle a read receipt covering every message up to message_id
+ */
+async function handleMessageRead(socket, io, data) {
+  const { trip_id, message_id } = data || {};
+
+  if (!trip_id || !message_id) {
+    socket.emit('error', { message: 'trip_id and message_id are required' });
+    return;
+  }
+
+  const result = await tripChat.markRead(io, trip_id, socket.userId, message_id);
+  if (!result.ok) {
+    socket.emit('error', { message: 'Message cannot be marked as read', trip_id, message_id, reason: result.reason });
+  }
+}
+
+/**
+ * Send the stored conversation of a trip, e.g. after a reconnect outlived the event log
+ */
+async function handleChatHistory(socket, data) {
+  const { trip_id, after_message_id } = data || {};
+
+  if (!trip_id) {
+    socket.emit('error', { message: 'trip_id is required' });
+    return;
+  }
+
+  const history = await tripChat.getHistory(trip_id, socket.userId, after_message_id);
+  if (!history.ok) {
+    socket.emit('error', { message: 'Chat history unavailable', trip_id, reason: history.reason });
+    return;
+  }
+
+  socket.emit('chat_history', {
+    trip_id,
+    closed: history.closed,
+    messages: history.messages,
+    reads: history.reads,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle a token refresh: the new token must be valid, not revoked and issued
+ * to the same user, and then replaces the one the socket authenticated with
+ */
+async function handleTokenRefresh(socket, data) {
+  const { token } = data || {};
+
+  if (!token) {
+    socket.emit('error', { message: 'token is required' });
+    return;
+  }
+
+  let claims;
+  try {
+    claims = await authMiddleware.verifyToken(token);
+  } catch (error) {
+    logger.warn('Invalid refresh token', { socketId: socket.id, userId: socket.userId, error: error.message });
+    socket.emit('error', { message: 'Token not refreshed', reason: 'invalid_token' });
+    return;
+  }
+
+  // Rooms and permissions were granted to the original user, so the token may not switch identity
+  if (String(claims.user_id || claims.id) !== String(socket.userId) || (claims.user_type || 'rider') !== socket.userType) {
+    logger.warn('Refresh token issued to another user', { socketId: socket.id, userId: socket.userId });
+    socket.emit('error', { message: 'Token not refreshed', reason: 'user_mismatch' });
+    return;
+  }
+
+  if (await socketSessions.isRevoked(claims)) {
+    socket.emit('error', { message: 'Token not refreshed', reason: 'revoked_token' });
+    return;
+  }
+
+  socket.tokenClaims = claims;
+  socketSessions.track(socket, claims);
+
+  socket.emit('token_refreshed', {
+    expires_at: socket.data.token_expires_at,
+    timestamp: new Date().toISOString()
+  });
+}
+
 /**
  * Handle client disconnection
  */
-function handleDisconnection(socket, reason) {
+function handleDisconnection(socket, io, reason) {
   logger.info('Client disconnected', { 
     socketId: socket.id, 
     userId: socket.userId, 
@@ -270,7 +815,15 @@ function handleDisconnection(socket, reason) {
     reason 
   });
 
-  // Clean up any specific resources if needed
+  presence.socketDisconnected(socket);
+  socketSessions.untrack(socket);
+
+  if (socket.userType === 'driver') {
+    driverAvailability.disconnected(io, socket).catch((error) => {
+      logger.error('Error updating driver availability on disconnect', { socketId: socket.id, userId: socket.userId, error: error.message });
+    });
+  }
+
   // Socket.IO automatically handles room cleanup
 }
 
@@ -1,35 +1,265 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const metrics = require('../services/metrics');
+const nonceCache = require('../services/nonceCache');
+const apiKeyRegistry = require('../services/apiKeyRegistry');
+const jwks = require('../services/jwks');
+const socketSessions = require('../services/socketSessions');
+const requestSigning = require('../utils/requestSigning');
+
+// api_key: static X-API-Key header (default); hmac: signed requests only;
+// hmac_or_api_key: accept both while Laravel is migrated to signing
+const BACKEND_AUTH_MODES = ['api_key', 'hmac', 'hmac_or_api_key'];
+// Signed requests older (or further in the future) than this are refused
+const SIGNATURE_MAX_AGE_S = parseInt(process.env.BACKEND_SIGNATURE_MAX_AGE_S) || 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
 
 /**
  * Validates authentication for backend API calls (Laravel to Middleman)
  */
 const validateBackendAuth = (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    const expectedApiKey = process.env.LARAVEL_API_KEY;
+    const mode = process.env.BACKEND_AUTH_MODE || 'api_key';
 
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
+    if (!BACKEND_AUTH_MODES.includes(mode)) {
+      logger.error('Invalid BACKEND_AUTH_MODE', { mode });
+      return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    if (!expectedApiKey) {
-      logger.error('LARAVEL_API_KEY not configured');
-      return res.status(500).json({ error: 'Server configuration error' });
+    const signed = req.headers['x-allez-request-signature'] !== undefined;
+    if (mode === 'hmac' || (mode === 'hmac_or_api_key' && signed)) {
+      return verifySignedRequest(req, res, next).catch((error) => {
+        logger.error('Backend auth error:', error);
+        res.status(500).json({ error: 'Authentication error' });
+      });
     }
 
-    if (apiKey !== expectedApiKey) {
-      logger.warn('Invalid API key attempt', { ip: req.ip });
-      return res.status(401).json({ error: 'Invalid API key' });
+    verifyApiKey(req, res, next);
+  } catch (error) {
+    logger.error('Backend auth error:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
+/**
+ * X-API-Key matched against the key registry
+ */
+function verifyApiKey(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    metrics.recordAuthFailure('backend', 'missing_key');
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  if (!apiKeyRegistry.hasKeys()) {
+    logger.error('No backend API keys configured (LARAVEL_API_KEY, BACKEND_API_KEYS or BACKEND_API_KEYS_FILE)');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const entry = apiKeyRegistry.findByKey(apiKey);
+  if (!entry) {
+    logger.warn('Invalid API key attempt', { ip: req.ip });
+    metrics.recordAuthFailure('backend', 'invalid_key');
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  authenticated(req, res, next, entry);
+}
+
+/**
+ * HMAC-SHA256 signature over method, path, timestamp, nonce and body hash
+ * (X-Allez-Request-Timestamp, X-Allez-Request-Nonce, X-Allez-Request-Signature;
+ * distinct from the X-Allez-* headers of the webhooks we send, which sign another string).
+ * Each nonce is accepted once. X-Allez-Request-Key-Id picks a registry key as the secret;
+ * without it LARAVEL_SIGNING_SECRET is used.
+ */
+async function verifySignedRequest(req, res, next) {
+  const keyId = req.headers['x-allez-request-key-id'];
+  const entry = keyId
+    ? apiKeyRegistry.findById(keyId)
+    : (process.env.LARAVEL_SIGNING_SECRET ? { id: 'default', key: process.env.LARAVEL_SIGNING_SECRET, scopes: ['*'], expires_at: null } : null);
+
+  if (!entry && !keyId) {
+    logger.error('LARAVEL_SIGNING_SECRET not configured');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const timestamp = req.headers['x-allez-request-timestamp'];
+  const nonce = req.headers['x-allez-request-nonce'];
+  const signature = req.headers['x-allez-request-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    metrics.recordAuthFailure('backend', 'missing_signature');
+    return res.status(401).json({ error: 'Request signature required' });
+  }
+
+  if (!entry) {
+    logger.warn('Signed request with unknown key id', { ip: req.ip, key_id: keyId });
+    metrics.recordAuthFailure('backend', 'invalid_key');
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || age > SIGNATURE_MAX_AGE_S) {
+    logger.warn('Stale signed request', { ip: req.ip, timestamp });
+    metrics.recordAuthFailure('backend', 'stale_timestamp');
+    return res.status(401).json({ error: 'Request timestamp outside the allowed window' });
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    metrics.recordAuthFailure('backend', 'invalid_nonce');
+    return res.status(401).json({ error: 'Invalid request nonce' });
+  }
+
+  // Only express.json keeps the raw bytes; any other body would be checked as if it were empty
+  const hasBody = req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+  if (hasBody && !req.rawBody) {
+    metrics.recordAuthFailure('backend', 'unsupported_body');
+    return res.status(415).json({ error: 'Signed requests must have a JSON body' });
+  }
+
+  const expected = requestSigning.sign(entry.key, req.method, req.originalUrl, timestamp, nonce, req.rawBody);
+  if (!requestSigning.safeEqual(signature.replace(/^sha256=/, ''), expected)) {
+    logger.warn('Invalid request signature', { ip: req.ip, path: req.originalUrl, key_id: entry.id });
+    metrics.recordAuthFailure('backend', 'invalid_signature');
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  // Only checked once the signature holds, so forged requests cannot burn real nonces.
+  // Kept for the whole window either side of now in which the timestamp is accepted.
+  if (!await nonceCache.claim(nonce, 2 * SIGNATURE_MAX_AGE_S * 1000)) {
+    logger.warn('Replayed signed request', { ip: req.ip, path: req.originalUrl, key_id: entry.id });
+    metrics.recordAuthFailure('backend', 'replayed_nonce');
+    return res.status(401).json({ error: 'Request already processed' });
+  }
+
+  authenticated(req, res, next, entry);
+}
+
+/**
+ * Admit a request made with a known key, unless the key has expired, and log it under the key id
+ */
+function authenticated(req, res, next, entry) {
+  if (apiKeyRegistry.isExpired(entry)) {
+    logger.warn('Expired API key used', { ip: req.ip, key_id: entry.id, expired_at: entry.expires_at });
+    metrics.recordAuthFailure('backend', 'expired_key');
+    return res.status(401).json({ error: 'API key expired', key_id: entry.id });
+  }
+
+  req.apiKey = { id: entry.id, scopes: entry.scopes };
+
+  res.on('finish', () => {
+    logger.info('Backend request', {
+      key_id: entry.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode
+    });
+  });
+
+  next();
+}
+
+/**
+ * Restricts a backend route to keys holding the given scope (after validateBackendAuth)
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey || !apiKeyRegistry.allows(req.apiKey, scope)) {
+      logger.warn('API key used outside its scopes', { key_id: req.apiKey?.id, path: req.originalUrl, required_scope: scope });
+      metrics.recordAuthFailure('backend', 'out_of_scope');
+      return res.status(403).json({ 
+        error: 'API key not allowed for this endpoint',
+        key_id: req.apiKey?.id,
+        required_scope: scope
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Validates authentication for admin/operations API calls
+ */
+const validateAdminAuth = (req, res, next) => {
+  try {
+    const adminKey = req.headers['x-admin-key'];
+    const expectedAdminKey = process.env.ADMIN_API_KEY;
+
+    if (!expectedAdminKey) {
+      logger.error('ADMIN_API_KEY not configured');
+      return res.status(503).json({ error: 'Admin API disabled' });
+    }
+
+    if (!adminKey) {
+      metrics.recordAuthFailure('admin', 'missing_key');
+      return res.status(401).json({ error: 'Admin key required' });
+    }
+
+    if (!requestSigning.safeEqual(adminKey, expectedAdminKey)) {
+      logger.warn('Invalid admin key attempt', { ip: req.ip });
+      metrics.recordAuthFailure('admin', 'invalid_key');
+      return res.status(401).json({ error: 'Invalid admin key' });
     }
 
     next();
   } catch (error) {
-    logger.error('Backend auth error:', error);
+    logger.error('Admin auth error:', error);
     res.status(500).json({ error: 'Authentication error' });
   }
 };
 
+/**
+ * Verify a client JWT. With JWT_JWKS_FILE or JWT_JWKS_URL set, tokens must be
+ * RS256/ES256 signed by a key from the JWKS (shared-secret HS256 tokens only
+ * while JWT_ALLOW_SHARED_SECRET is true); otherwise HS256 with JWT_SECRET.
+ * JWT_ISSUER and JWT_AUDIENCE are checked when set. Resolves to the claims.
+ */
+function verifyToken(token) {
+  const options = {};
+  if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+  if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE.split(',').map(audience => audience.trim());
+
+  const useJwks = jwks.isConfigured();
+  const allowSharedSecret = !useJwks || process.env.JWT_ALLOW_SHARED_SECRET === 'true';
+
+  const getKey = (header, callback) => {
+    if (header.alg === 'HS256') {
+      if (!allowSharedSecret) {
+        return callback(new Error('Shared-secret tokens are not accepted'));
+      }
+      if (!process.env.JWT_SECRET) {
+        logger.error('JWT_SECRET not configured');
+        return callback(new Error('Server configuration error'));
+      }
+      return callback(null, process.env.JWT_SECRET);
+    }
+
+    if (!useJwks) {
+      return callback(new Error(`Unsupported token algorithm ${header.alg}`));
+    }
+
+    jwks.getKey(header.kid)
+      .then((entry) => {
+        // The key decides the algorithm, never the token
+        if (!entry || entry.algorithm !== header.alg) {
+          return callback(new Error(`No ${header.alg} signing key with kid ${header.kid}`));
+        }
+        callback(null, entry.key);
+      })
+      .catch(callback);
+  };
+
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getKey, { ...options, algorithms: ['HS256', 'RS256', 'ES256'] }, (err, decoded) => {
+      if (err) return reject(err);
+      resolve(decoded);
+    });
+  });
+}
+
 /**
  * Validates JWT token for WebSocket connections (Frontend clients)
  */
@@ -38,34 +268,38 @@ const validateSocketAuth = (socket, next) => {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
 
     if (!token) {
+      metrics.recordAuthFailure('socket', 'missing_token');
       return next(new Error('Authentication token required'));
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      logger.error('JWT_SECRET not configured');
-      return next(new Error('Server configuration error'));
-    }
+    verifyToken(token)
+      .then(async (decoded) => {
+        if (await socketSessions.isRevoked(decoded)) {
+          logger.warn('Revoked JWT token', { userId: decoded.user_id || decoded.id, jti: decoded.jti });
+          metrics.recordAuthFailure('socket', 'revoked_token');
+          return next(new Error('Token revoked'));
+        }
 
-    jwt.verify(token, jwtSecret, (err, decoded) => {
-      if (err) {
-        logger.warn('Invalid JWT token', { error: err.message });
-        return next(new Error('Invalid token'));
-      }
+        // Attach user info to socket
+        socket.userId = decoded.user_id || decoded.id;
+        socket.userType = decoded.user_type || 'rider'; // 'rider', 'driver' or 'safety_operator'
+        socket.userEmail = decoded.email;
+        // Kept for expiry and refresh, see socketSessions
+        socket.tokenClaims = decoded;
 
-      // Attach user info to socket
-      socket.userId = decoded.user_id || decoded.id;
-      socket.userType = decoded.user_type || 'rider'; // 'rider' or 'driver'
-      socket.userEmail = decoded.email;
+        logger.info('Socket authenticated', { 
+          userId: socket.userId, 
+          userType: socket.userType,
+          socketId: socket.id 
+        });
 
-      logger.info('Socket authenticated', { 
-        userId: socket.userId, 
-        userType: socket.userType,
-        socketId: socket.id 
+        next();
+      })
+      .catch((err) => {
+        logger.warn('Invalid JWT token', { error: err.message });
+        metrics.recordAuthFailure('socket', err.name === 'TokenExpiredError' ? 'expired_token' : 'invalid_token');
+        next(new Error('Invalid token'));
       });
-
-      next();
-    });
   } catch (error) {
     logger.error('Socket auth error:', error);
     next(new Error('Authentication error'));
@@ -94,15 +328,14 @@ const validateJWT = (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-    jwt.verify(token, jwtSecret, (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-
-      req.user = decoded;
-      next();
-    });
+    verifyToken(token)
+      .then((decoded) => {
+        req.user = decoded;
+        next();
+      })
+      .catch(() => {
+        res.status(403).json({ error: 'Invalid or expired token' });
+      });
   } catch (error) {
     logger.error('JWT validation error:', error);
     res.status(500).json({ error: 'Authentication error' });
@@ -111,7 +344,10 @@ const validateJWT = (req, res, next) => {
 
 module.exports = {
   validateBackendAuth,
+  requireScope,
+  validateAdminAuth,
   validateSocketAuth,
   validateJWT,
+  verifyToken,
   generateToken
 }; 
\ No newline at end of file
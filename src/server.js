@@ -4,12 +4,27 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createAdapter } = require('@socket.io/redis-adapter');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
 const authMiddleware = require('./middleware/auth');
 const tripController = require('./controllers/tripController');
+const eventController = require('./controllers/eventController');
+const driverController = require('./controllers/driverController');
+const routeController = require('./controllers/routeController');
+const chatController = require('./controllers/chatController');
+const presenceController = require('./controllers/presenceController');
+const sessionController = require('./controllers/sessionController');
+const adminController = require('./controllers/adminController');
 const socketHandler = require('./handlers/socketHandler');
+const redis = require('./services/redis');
+const clusterBus = require('./services/clusterBus');
+const webhookDispatcher = require('./services/webhookDispatcher');
+const driverTracking = require('./services/driverTracking');
+const metrics = require('./services/metrics');
+const jwks = require('./services/jwks');
+const emergencyEscalation = require('./services/emergencyEscalation');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,13 +40,21 @@ const io = socketIo(server, {
   cors: corsOptions,
   transports: ['websocket', 'polling']
 });
+metrics.attach(io);
 
 // Middleware
 app.use(helmet());
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body: signed backend requests are verified against the exact bytes sent
+app.use(express.json({ 
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Request counts and latency for the backend API (before the limiter, so 429s are counted too)
+app.use('/api/', metrics.trackRequests);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -50,48 +73,109 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (per instance); protected with a bearer token when METRICS_TOKEN is set
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    metrics.recordAuthFailure('metrics', 'invalid_token');
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    logger.error('Error rendering metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
 // === TRIP LIFECYCLE ENDPOINTS ===
 
 // 1. Trip sent to drivers (when a trip request is created and sent to nearby drivers)
-app.post('/api/trip/send-to-drivers', authMiddleware.validateBackendAuth, tripController.sendTripToDrivers(io));
+app.post('/api/trip/send-to-drivers', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.sendTripToDrivers(io));
 
 // 2. Trip accepted by driver
-app.post('/api/trip/accepted', authMiddleware.validateBackendAuth, tripController.tripAccepted(io));
+app.post('/api/trip/accepted', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.tripAccepted(io));
 
 // 3. Trip no longer available (cancelled, accepted by another driver, expired)
-app.post('/api/trip/no-longer-available', authMiddleware.validateBackendAuth, tripController.tripNoLongerAvailable(io));
+app.post('/api/trip/no-longer-available', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.tripNoLongerAvailable(io));
 
 // 4. Driver arrived for pickup
-app.post('/api/trip/driver-arrived', authMiddleware.validateBackendAuth, tripController.driverArrived(io));
+app.post('/api/trip/driver-arrived', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.driverArrived(io));
 
 // 5. Trip started (rider picked up)
-app.post('/api/trip/started', authMiddleware.validateBackendAuth, tripController.tripStarted(io));
+app.post('/api/trip/started', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.tripStarted(io));
 
 // 6. Trip completed
-app.post('/api/trip/completed', authMiddleware.validateBackendAuth, tripController.tripCompleted(io));
+app.post('/api/trip/completed', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.tripCompleted(io));
 
 // 7. Trip cancelled
-app.post('/api/trip/cancelled', authMiddleware.validateBackendAuth, tripController.tripCancelled(io));
+app.post('/api/trip/cancelled', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.tripCancelled(io));
 
 // 8. Driver location updates during trip
-app.post('/api/driver/location-update', authMiddleware.validateBackendAuth, tripController.updateDriverLocation(io));
+app.post('/api/driver/location-update', authMiddleware.validateBackendAuth, authMiddleware.requireScope('locations'), tripController.updateDriverLocation(io));
 
 // 9. Payment processing updates
-app.post('/api/payment/update', authMiddleware.validateBackendAuth, tripController.paymentUpdate(io));
+app.post('/api/payment/update', authMiddleware.validateBackendAuth, authMiddleware.requireScope('payments'), tripController.paymentUpdate(io));
 
 // 10. Emergency/SOS alerts
-app.post('/api/emergency/alert', authMiddleware.validateBackendAuth, tripController.emergencyAlert(io));
+app.post('/api/emergency/alert', authMiddleware.validateBackendAuth, authMiddleware.requireScope('emergency'), tripController.emergencyAlert(io));
+
+// === TRIP ROUTE ENDPOINTS ===
+
+// Path driven between trip start and completion/cancellation, as GeoJSON or GPX
+app.get('/api/trip/:id/route', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trip_exports'), routeController.getTripRoute());
+
+// === TRIP CHAT ENDPOINTS ===
+
+// Rider–driver chat transcript, for support review
+app.get('/api/trip/:id/chat', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trip_exports'), chatController.getTripChat());
+
+// === EVENT DELIVERY ENDPOINTS ===
+
+// Delivery status (acked / pending / never connected) of a critical event
+app.get('/api/events/:id/delivery', authMiddleware.validateBackendAuth, authMiddleware.requireScope('events'), eventController.getDeliveryStatus());
+
+// === DRIVER DISCOVERY ENDPOINTS ===
+
+// Available drivers closest to a point, from their live positions
+app.get('/api/drivers/nearby', authMiddleware.validateBackendAuth, authMiddleware.requireScope('drivers'), driverController.getNearbyDrivers());
+
+// === PRESENCE ENDPOINTS ===
+
+// Whether users are connected right now (e.g. before falling back to SMS)
+app.get('/api/presence/:userId', authMiddleware.validateBackendAuth, authMiddleware.requireScope('presence'), presenceController.getPresence(io));
+app.post('/api/presence', authMiddleware.validateBackendAuth, authMiddleware.requireScope('presence'), presenceController.getBulkPresence(io));
+
+// === SESSION ENDPOINTS ===
+
+// Revoke a user or a token id (jti); their sockets are disconnected on every instance
+app.post('/api/sessions/revoke', authMiddleware.validateBackendAuth, authMiddleware.requireScope('sessions'), sessionController.revokeSessions(io));
+
+// === ADMIN ENDPOINTS ===
+
+// Outbound webhook queue and dead-letter list
+app.get('/api/admin/webhooks', authMiddleware.validateAdminAuth, adminController.getWebhookQueue());
+app.post('/api/admin/webhooks/dead-letters/:id/retry', authMiddleware.validateAdminAuth, adminController.retryDeadLetter());
+app.delete('/api/admin/webhooks/dead-letters/:id', authMiddleware.validateAdminAuth, adminController.deleteDeadLetter());
+
+// Live sockets and rooms across all instances
+app.get('/api/admin/sockets', authMiddleware.validateAdminAuth, adminController.listSockets(io));
+app.delete('/api/admin/sockets/:id', authMiddleware.validateAdminAuth, adminController.disconnectSocket(io));
+app.get('/api/admin/rooms', authMiddleware.validateAdminAuth, adminController.getRooms(io));
+app.post('/api/admin/users/:userId/leave-room', authMiddleware.validateAdminAuth, adminController.removeUserFromRoom(io));
 
 // === LEGACY ENDPOINTS (for backward compatibility) ===
 
 // Trip status update endpoint (from Laravel backend)
-app.post('/api/trip/update', authMiddleware.validateBackendAuth, tripController.updateTripStatus(io));
+app.post('/api/trip/update', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.updateTripStatus(io));
 
 // Trip request endpoint (from Laravel backend)
-app.post('/api/trip/request', authMiddleware.validateBackendAuth, tripController.createTripRequest(io));
+app.post('/api/trip/request', authMiddleware.validateBackendAuth, authMiddleware.requireScope('trips'), tripController.createTripRequest(io));
 
 // Driver location update endpoint (legacy)
-app.post('/api/driver/location', authMiddleware.validateBackendAuth, tripController.legacyUpdateDriverLocation(io));
+app.post('/api/driver/location', authMiddleware.validateBackendAuth, authMiddleware.requireScope('locations'), tripController.legacyUpdateDriverLocation(io));
 
 // Socket.IO connection handling
 io.use(authMiddleware.validateSocketAuth);
@@ -112,18 +196,56 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-server.listen(PORT, () => {
-  logger.info(`Allez Middleman Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+/**
+ * Attach the Redis adapter when Redis is available, so broadcasts from this
+ * instance reach sockets connected to every other instance
+ */
+async function setupAdapter() {
+  const connected = await redis.connect();
+
+  if (!connected) {
+    logger.info('Socket.IO using in-memory adapter (single instance)');
+    return;
+  }
+
+  io.adapter(createAdapter(redis.getClient(), redis.getSubscriber(), {
+    key: process.env.REDIS_ADAPTER_KEY || 'allez-middleman'
+  }));
+  clusterBus.enable(io);
+
+  logger.info('Socket.IO using Redis adapter');
+}
+
+webhookDispatcher.start();
+driverTracking.start();
+jwks.start();
+
+const ready = setupAdapter()
+  .catch((error) => {
+    logger.error('Failed to set up Socket.IO adapter, continuing in-memory:', error);
+  })
+  // Alerts are read from Redis, so only once it is connected
+  .then(() => emergencyEscalation.restore(io).catch((error) => {
+    logger.error('Failed to restore emergency alerts:', error);
+  }))
+  .then(() => new Promise((resolve) => {
+    server.listen(PORT, () => {
+      logger.info(`Allez Middleman Server running on port ${PORT}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      resolve();
+    });
+  }));
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await driverTracking.stop();
+    webhookDispatcher.stop();
+    await redis.disconnect();
     logger.info('Process terminated');
     process.exit(0);
   });
 });
 
-module.exports = { app, server, io }; 
\ No newline at end of file
+module.exports = { app, server, io, ready }; 
\ No newline at end of file
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const requestSigning = require('../utils/requestSigning');
+
+// How often the keys file is checked for changes, so keys can be added and retired without a restart
+const RELOAD_INTERVAL_MS = parseInt(process.env.BACKEND_API_KEYS_RELOAD_MS) || 10 * 1000;
+
+// Every scope a backend route can require; '*' grants all of them
+const SCOPES = ['trips', 'locations', 'payments', 'emergency', 'trip_exports', 'events', 'drivers', 'presence', 'sessions'];
+
+let keys = null;
+let fileMtimeMs = null;
+let reloadTimer = null;
+
+/**
+ * Validate one configured key. Returns the normalized entry, or null if it is unusable.
+ */
+function normalize(entry, source) {
+  const { id, key, scopes, expires_at } = entry || {};
+
+  const invalid = [];
+  if (!id || typeof id !== 'string') invalid.push('id');
+  if (!key || typeof key !== 'string' || key.length < 16) invalid.push('key (at least 16 characters)');
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => scope === '*' || SCOPES.includes(scope))) {
+    invalid.push(`scopes (from ${SCOPES.join(', ')} or '*')`);
+  }
+  if (expires_at !== undefined && expires_at !== null && Number.isNaN(Date.parse(expires_at))) invalid.push('expires_at');
+
+  if (invalid.length > 0) {
+    logger.error('Ignoring invalid backend API key', { source, id, invalid });
+    return null;
+  }
+
+  return { id, key, scopes, expires_at: expires_at ? new Date(expires_at).toISOString() : null };
+}
+
+function parseKeyList(raw, source) {
+  try {
+    const list = JSON.parse(raw);
+    if (!Array.isArray(list)) throw new Error('expected a JSON array of keys');
+    return list.map(entry => normalize(entry, source)).filter(Boolean);
+  } catch (error) {
+    logger.error('Failed to read backend API keys', { source, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Build the registry from BACKEND_API_KEYS_FILE, BACKEND_API_KEYS and the
+ * legacy single LARAVEL_API_KEY (id "default", every scope)
+ */
+function load() {
+  const loaded = [];
+
+  const file = process.env.BACKEND_API_KEYS_FILE;
+  if (file) {
+    try {
+      fileMtimeMs = fs.statSync(file).mtimeMs;
+      loaded.push(...parseKeyList(fs.readFileSync(file, 'utf8'), file));
+    } catch (error) {
+      logger.error('Failed to read backend API keys', { source: file, error: error.message });
+    }
+  }
+
+  if (process.env.BACKEND_API_KEYS) {
+    loaded.push(...parseKeyList(process.env.BACKEND_API_KEYS, 'BACKEND_API_KEYS'));
+  }
+
+  if (process.env.LARAVEL_API_KEY) {
+    loaded.push({ id: 'default', key: process.env.LARAVEL_API_KEY, scopes: ['*'], expires_at: null });
+  }
+
+  const ids = new Set();
+  keys = loaded.filter((entry) => {
+    if (ids.has(entry.id)) {
+      logger.error('Ignoring backend API key with duplicate id', { id: entry.id });
+      return false;
+    }
+    ids.add(entry.id);
+    return true;
+  });
+
+  logger.info('Backend API keys loaded', { ids: keys.map(entry => entry.id) });
+  watchFile();
+}
+
+function watchFile() {
+  if (reloadTimer || !process.env.BACKEND_API_KEYS_FILE) return;
+
+  reloadTimer = setInterval(() => {
+    fs.stat(process.env.BACKEND_API_KEYS_FILE, (error, stats) => {
+      if (!error && stats.mtimeMs !== fileMtimeMs) {
+        load();
+      }
+    });
+  }, RELOAD_INTERVAL_MS);
+  reloadTimer.unref();
+}
+
+function getKeys() {
+  if (!keys) load();
+  return keys;
+}
+
+/**
+ * The configured key matching a presented X-API-Key, or null. Every key is
+ * compared in constant time.
+ */
+function findByKey(presented) {
+  return getKeys().find(entry => requestSigning.safeEqual(presented, entry.key)) || null;
+}
+
+/**
+ * The configured key with this id (signed requests name their key), or null
+ */
+function findById(id) {
+  return getKeys().find(entry => entry.id === id) || null;
+}
+
+function isExpired(entry) {
+  return entry.expires_at !== null && Date.parse(entry.expires_at) <= Date.now();
+}
+
+function allows(entry, scope) {
+  return entry.scopes.includes('*') || entry.scopes.includes(scope);
+}
+
+/**
+ * Whether any key is configured at all
+ */
+function hasKeys() {
+  return getKeys().length > 0;
+}
+
+module.exports = {
+  SCOPES,
+  findByKey,
+  findById,
+  isExpired,
+  allows,
+  hasKeys
+};
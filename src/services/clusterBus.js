@@ -0,0 +1,82 @@
+const logger = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS) || 2000;
+
+// Inter-instance messaging on top of Socket.IO's serverSideEmit. The in-memory
+// adapter has no peers (and throws on serverSideEmit), so everything here is a
+// no-op until enable() is called after the Redis adapter is attached.
+let clusterIo = null;
+const handlers = new Map();
+
+/**
+ * Start relaying messages between instances through the given server
+ */
+function enable(io) {
+  clusterIo = io;
+
+  handlers.forEach((handler, type) => attach(type, handler));
+}
+
+function attach(type, handler) {
+  clusterIo.on(type, (...args) => {
+    try {
+      handler(...args);
+    } catch (error) {
+      logger.error('Cluster message handler failed', { type, error: error.message });
+    }
+  });
+}
+
+/**
+ * Whether other instances can be reached
+ */
+function isEnabled() {
+  return clusterIo !== null;
+}
+
+/**
+ * Register a handler for messages published by other instances.
+ * Handlers with a callback as their last argument can answer request().
+ */
+function subscribe(type, handler) {
+  handlers.set(type, handler);
+
+  if (clusterIo) {
+    attach(type, handler);
+  }
+}
+
+/**
+ * Send a message to every other instance
+ */
+function publish(type, payload) {
+  if (!clusterIo) return;
+
+  try {
+    clusterIo.serverSideEmit(type, payload);
+  } catch (error) {
+    logger.error('Failed to publish cluster message', { type, error: error.message });
+  }
+}
+
+/**
+ * Ask every other instance and collect their answers
+ */
+async function request(type, payload) {
+  if (!clusterIo) return [];
+
+  try {
+    return await clusterIo.timeout(REQUEST_TIMEOUT_MS).serverSideEmitWithAck(type, payload);
+  } catch (error) {
+    logger.warn('Cluster request incomplete', { type, error: error.message });
+    return [];
+  }
+}
+
+module.exports = {
+  enable,
+  isEnabled,
+  subscribe,
+  publish,
+  request
+};
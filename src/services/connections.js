@@ -0,0 +1,110 @@
+/**
+ * Record what the admin API reports about a socket. socket.data is the part
+ * of a socket other instances can see.
+ */
+function register(socket) {
+  socket.data.user_id = socket.userId;
+  socket.data.user_type = socket.userType;
+  socket.data.connected_at = new Date().toISOString();
+  socket.data.transport = socket.conn.transport.name;
+
+  // Polling clients usually upgrade to websocket right after connecting
+  socket.conn.once('upgrade', () => {
+    socket.data.transport = socket.conn.transport.name;
+  });
+}
+
+/**
+ * Kind of room, from the naming conventions used across the server
+ */
+function roomType(room) {
+  if (room.startsWith('user_')) return 'user';
+  if (room.startsWith('trip_')) return 'trip';
+  if (room.startsWith('track_driver_')) return 'tracking';
+  return 'pool';
+}
+
+function describe(socket) {
+  return {
+    socket_id: socket.id,
+    user_id: socket.data.user_id ?? null,
+    user_type: socket.data.user_type ?? null,
+    // Every socket is in a room named after its own id; that one says nothing
+    rooms: Array.from(socket.rooms).filter(room => room !== socket.id),
+    connected_at: socket.data.connected_at ?? null,
+    transport: socket.data.transport ?? null,
+    address: socket.handshake.address
+  };
+}
+
+/**
+ * Connected sockets on every instance (fetchSockets goes through the adapter),
+ * optionally only those of a user, user type or room
+ */
+async function listSockets(io, { userId, userType, room } = {}) {
+  const target = room ? io.in(room) : (userId ? io.in(`user_${userId}`) : io);
+  const sockets = (await target.fetchSockets()).map(describe);
+
+  return sockets.filter(socket =>
+    (!userId || String(socket.user_id) === String(userId)) &&
+    (!userType || socket.user_type === userType)
+  );
+}
+
+/**
+ * Member count of every room, largest first, with totals per kind of room
+ */
+async function roomCounts(io) {
+  const counts = new Map();
+  const sockets = await io.fetchSockets();
+
+  sockets.forEach((socket) => {
+    socket.rooms.forEach((room) => {
+      if (room === socket.id) return;
+      counts.set(room, (counts.get(room) || 0) + 1);
+    });
+  });
+
+  const rooms = Array.from(counts, ([room, memberCount]) => ({ room, type: roomType(room), member_count: memberCount }))
+    .sort((a, b) => b.member_count - a.member_count || a.room.localeCompare(b.room));
+
+  const byType = {};
+  rooms.forEach(({ type, member_count }) => {
+    byType[type] = byType[type] || { room_count: 0, member_count: 0 };
+    byType[type].room_count += 1;
+    byType[type].member_count += member_count;
+  });
+
+  return { total_sockets: sockets.length, by_type: byType, rooms };
+}
+
+/**
+ * Disconnect one socket, wherever it is connected. Resolves to false if it is not connected.
+ */
+async function disconnectSocket(io, socketId) {
+  const sockets = await io.in(socketId).fetchSockets();
+  if (sockets.length === 0) return false;
+
+  io.in(socketId).disconnectSockets(true);
+  return true;
+}
+
+/**
+ * Remove all of a user's sockets from a room. Resolves to the number of sockets removed.
+ */
+async function removeUserFromRoom(io, userId, room) {
+  const sockets = (await io.in(`user_${userId}`).fetchSockets()).filter(socket => socket.rooms.has(room));
+  if (sockets.length === 0) return 0;
+
+  io.in(`user_${userId}`).socketsLeave(room);
+  return sockets.length;
+}
+
+module.exports = {
+  register,
+  listSockets,
+  roomCounts,
+  disconnectSocket,
+  removeUserFromRoom,
+  roomType
+};
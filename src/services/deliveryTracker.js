@@ -0,0 +1,251 @@
+const logger = require('../utils/logger');
+const eventLog = require('./eventLog');
+const clusterBus = require('./clusterBus');
+const metrics = require('./metrics');
+
+const RETRY_BASE_MS = parseInt(process.env.DELIVERY_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = parseInt(process.env.DELIVERY_RETRY_MAX_MS) || 30 * 1000;
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.DELIVERY_TIMEOUT_MS) || 2 * 60 * 1000; // 2 minutes
+const RECORD_TTL_MS = parseInt(process.env.DELIVERY_RECORD_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+// event_id -> delivery record
+const deliveries = new Map();
+
+/**
+ * Extract recipient user ids from the user_<id> rooms of a broadcast
+ */
+function recipientsFromRooms(rooms) {
+  return rooms
+    .filter(room => typeof room === 'string' && room.startsWith('user_'))
+    .map(room => room.slice('user_'.length));
+}
+
+/**
+ * Publish an event that every addressed user must acknowledge with `event_ack`.
+ * Unacknowledged recipients are re-sent the event on an exponential backoff
+ * until they ack or DELIVERY_TIMEOUT_MS elapses.
+ *
+ * Returns the event id, which Laravel can use to query delivery status.
+ */
+function publishWithAck(io, rooms, event, data, options = {}) {
+  const targetRooms = (Array.isArray(rooms) ? rooms : [rooms]).filter(Boolean);
+  const payload = { ...data, requires_ack: true };
+  const eventId = eventLog.publish(io, targetRooms, event, payload, options);
+
+  const recipients = new Map();
+  recipientsFromRooms(targetRooms).forEach(userId => {
+    recipients.set(String(userId), { user_id: userId, state: 'never_connected', acked_at: null, last_sent_at: null });
+  });
+
+  if (recipients.size === 0) {
+    return eventId;
+  }
+
+  const record = {
+    event_id: eventId,
+    event,
+    payload: { ...payload, event_id: eventId },
+    recipients,
+    attempts: 1,
+    status: 'pending',
+    created_at: Date.now(),
+    completed_at: null,
+    timer: null
+  };
+  deliveries.set(eventId, record);
+
+  refreshConnectivity(io, record)
+    .then(() => scheduleRetry(io, record))
+    .catch(error => logger.error('Error tracking event delivery', { event_id: eventId, error: error.message }));
+
+  return eventId;
+}
+
+/**
+ * Mark recipients that currently have a live socket as reached
+ */
+async function refreshConnectivity(io, record) {
+  const now = Date.now();
+
+  await Promise.all(Array.from(record.recipients.values()).map(async (recipient) => {
+    if (recipient.state === 'acked') return;
+
+    const sockets = await io.in(`user_${recipient.user_id}`).fetchSockets();
+    if (sockets.length > 0) {
+      recipient.state = 'pending';
+      recipient.last_sent_at = now;
+    }
+  }));
+}
+
+/**
+ * Delay before the given retry attempt (1-based)
+ */
+function backoffDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+}
+
+function scheduleRetry(io, record) {
+  if (record.status !== 'pending') return;
+
+  const delay = backoffDelay(record.attempts);
+  if (Date.now() + delay - record.created_at > DELIVERY_TIMEOUT_MS) {
+    record.timer = setTimeout(() => finish(record, 'timed_out'), Math.max(0, record.created_at + DELIVERY_TIMEOUT_MS - Date.now()));
+    record.timer.unref();
+    return;
+  }
+
+  record.timer = setTimeout(() => {
+    retry(io, record).catch(error => {
+      logger.error('Error retrying event delivery', { event_id: record.event_id, error: error.message });
+    });
+  }, delay);
+  // Pending retries must not keep a stopping process alive
+  record.timer.unref();
+}
+
+/**
+ * Re-send the event to every recipient that has not acknowledged it yet
+ */
+async function retry(io, record) {
+  if (record.status !== 'pending') return;
+
+  record.attempts += 1;
+  await refreshConnectivity(io, record);
+
+  const unacked = Array.from(record.recipients.values()).filter(recipient => recipient.state !== 'acked');
+  const rooms = unacked.map(recipient => `user_${recipient.user_id}`);
+
+  if (rooms.length > 0) {
+    io.to(rooms).emit(record.event, { ...record.payload, retry: record.attempts - 1 });
+    metrics.recordEvent(record.event);
+  }
+
+  logger.info('Critical event re-sent', {
+    event_id: record.event_id,
+    event: record.event,
+    attempt: record.attempts,
+    recipients: unacked.map(recipient => recipient.user_id)
+  });
+
+  scheduleRetry(io, record);
+}
+
+function finish(record, status) {
+  clearTimeout(record.timer);
+  record.timer = null;
+  record.status = status;
+  record.completed_at = Date.now();
+
+  if (status === 'timed_out') {
+    logger.warn('Critical event delivery timed out', {
+      event_id: record.event_id,
+      event: record.event,
+      unacked: Array.from(record.recipients.values())
+        .filter(recipient => recipient.state !== 'acked')
+        .map(recipient => recipient.user_id)
+    });
+  }
+}
+
+/**
+ * Record a client acknowledgement for an event. The event may have been sent
+ * by another instance, in which case the ack is relayed to it.
+ */
+function acknowledge(userId, eventId) {
+  if (!acknowledgeLocal(userId, eventId)) {
+    clusterBus.publish('event_ack', { user_id: userId, event_id: eventId });
+  }
+}
+
+function acknowledgeLocal(userId, eventId) {
+  const record = deliveries.get(parseInt(eventId));
+  if (!record) return false;
+
+  const recipient = record.recipients.get(String(userId));
+  if (!recipient) return false;
+
+  if (recipient.state !== 'acked') {
+    recipient.state = 'acked';
+    recipient.acked_at = Date.now();
+
+    logger.info('Event acknowledged', { event_id: record.event_id, event: record.event, user_id: userId });
+  }
+
+  const allAcked = Array.from(record.recipients.values()).every(r => r.state === 'acked');
+  if (allAcked && record.status === 'pending') {
+    finish(record, 'delivered');
+  }
+
+  return true;
+}
+
+/**
+ * Delivery report for an event, or null if no instance is tracking it
+ */
+async function getDeliveryStatus(eventId) {
+  const local = getLocalDeliveryStatus(eventId);
+  if (local) return local;
+
+  const answers = await clusterBus.request('delivery_status', { event_id: eventId });
+  return answers.find(Boolean) || null;
+}
+
+function getLocalDeliveryStatus(eventId) {
+  const record = deliveries.get(parseInt(eventId));
+  if (!record) return null;
+
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const report = { acked: [], pending: [], unacknowledged: [], never_connected: [] };
+
+  record.recipients.forEach(recipient => {
+    if (recipient.state === 'acked') {
+      report.acked.push({ user_id: recipient.user_id, acked_at: toIso(recipient.acked_at) });
+    } else if (recipient.state === 'never_connected') {
+      report.never_connected.push({ user_id: recipient.user_id });
+    } else if (record.status === 'timed_out') {
+      report.unacknowledged.push({ user_id: recipient.user_id, last_sent_at: toIso(recipient.last_sent_at) });
+    } else {
+      report.pending.push({ user_id: recipient.user_id, last_sent_at: toIso(recipient.last_sent_at) });
+    }
+  });
+
+  return {
+    event_id: record.event_id,
+    event: record.event,
+    status: record.status,
+    attempts: record.attempts,
+    created_at: toIso(record.created_at),
+    completed_at: toIso(record.completed_at),
+    recipients: report
+  };
+}
+
+/**
+ * Forget finished deliveries once they are older than the retention window
+ */
+function pruneFinished() {
+  const cutoff = Date.now() - RECORD_TTL_MS;
+
+  deliveries.forEach((record, eventId) => {
+    if (record.status !== 'pending' && record.completed_at < cutoff) {
+      deliveries.delete(eventId);
+    }
+  });
+}
+
+setInterval(pruneFinished, 5 * 60 * 1000).unref();
+
+clusterBus.subscribe('event_ack', ({ user_id, event_id }) => {
+  acknowledgeLocal(user_id, event_id);
+});
+
+clusterBus.subscribe('delivery_status', ({ event_id }, callback) => {
+  callback(getLocalDeliveryStatus(event_id));
+});
+
+module.exports = {
+  publishWithAck,
+  acknowledge,
+  getDeliveryStatus
+};
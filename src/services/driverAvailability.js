@@ -0,0 +1,320 @@
+const logger = require('../utils/logger');
+const eventLog = require('./eventLog');
+const driverLocator = require('./driverLocator');
+const webhookDispatcher = require('./webhookDispatcher');
+const clusterBus = require('./clusterBus');
+const redis = require('./redis');
+
+// A connected driver that sends no heartbeat (ping, driver_location or a location
+// update through the API) for this long is idle. 0 turns idle detection off.
+const CONFIGURED_HEARTBEAT_TIMEOUT_MS = parseInt(process.env.DRIVER_HEARTBEAT_TIMEOUT_MS);
+const HEARTBEAT_TIMEOUT_MS = Number.isNaN(CONFIGURED_HEARTBEAT_TIMEOUT_MS) ? 90 * 1000 : CONFIGURED_HEARTBEAT_TIMEOUT_MS; // 90 seconds
+const STATE_TTL_MS = parseInt(process.env.DRIVER_AVAILABILITY_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const MAX_CAS_ATTEMPTS = 5;
+
+// Why a driver is unavailable, most significant first: a driver who switched
+// off manually stays off after reconnecting, one on a trip stays off until it ends
+const REASONS = ['on_trip', 'manual', 'disconnect', 'idle'];
+
+// Compare-and-set so instances updating the same driver cannot overwrite each other
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if (current or '') ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1
+`;
+
+// driver_id -> { raw, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+// driver_id -> idle timer, for drivers with a socket on this instance
+const heartbeatTimers = new Map();
+// Drivers this instance marked idle, so a heartbeat only touches storage when it changes something
+const idleDrivers = new Set();
+// Set on the first driver connection, for heartbeats relayed by other instances
+let socketServer = null;
+
+function storageKey(driverId) {
+  return `driver_availability:${driverId}`;
+}
+
+async function readRaw(driverId) {
+  const client = redis.getClient();
+  if (client) {
+    return client.get(storageKey(driverId));
+  }
+
+  const stored = memoryStore.get(String(driverId));
+  if (!stored || stored.expires_at <= Date.now()) {
+    return null;
+  }
+  return stored.raw;
+}
+
+async function compareAndSet(driverId, expectedRaw, nextRaw) {
+  const client = redis.getClient();
+  if (client) {
+    const result = await client.eval(CAS_SCRIPT, {
+      keys: [storageKey(driverId)],
+      arguments: [expectedRaw || '', nextRaw, String(STATE_TTL_MS)]
+    });
+    return result === 1;
+  }
+
+  const current = await readRaw(driverId);
+  if ((current || '') !== (expectedRaw || '')) {
+    return false;
+  }
+  memoryStore.set(String(driverId), { raw: nextRaw, expires_at: Date.now() + STATE_TTL_MS });
+  return true;
+}
+
+/**
+ * A driver nobody has heard of yet is available, as before availability was tracked
+ */
+function initialState(driverId) {
+  return {
+    driver_id: driverId,
+    manual_off: false,
+    offline: false,
+    idle: false,
+    trip_id: null,
+    is_available: true,
+    reason: null,
+    updated_at: null
+  };
+}
+
+function deriveReason(state) {
+  const flags = {
+    on_trip: Boolean(state.trip_id),
+    manual: state.manual_off,
+    disconnect: state.offline,
+    idle: state.idle
+  };
+  return REASONS.find(reason => flags[reason]) || null;
+}
+
+/**
+ * Current availability of a driver: { driver_id, is_available, reason, trip_id, updated_at }
+ */
+async function getAvailability(driverId) {
+  const raw = await readRaw(driverId);
+  const state = raw ? JSON.parse(raw) : initialState(driverId);
+
+  return {
+    driver_id: state.driver_id,
+    is_available: state.is_available,
+    reason: state.reason,
+    trip_id: state.trip_id,
+    updated_at: state.updated_at
+  };
+}
+
+async function isAvailable(driverId) {
+  return (await getAvailability(driverId)).is_available;
+}
+
+/**
+ * Apply changes to a driver's flags and act on the resulting availability.
+ * Resolves to the new state.
+ */
+async function update(io, driverId, changes) {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const currentRaw = await readRaw(driverId);
+    const current = currentRaw ? JSON.parse(currentRaw) : initialState(driverId);
+
+    const next = { ...current, ...changes(current) };
+    next.reason = deriveReason(next);
+    next.is_available = next.reason === null;
+
+    const changed = next.is_available !== current.is_available || next.reason !== current.reason;
+    if (changed) {
+      next.updated_at = new Date().toISOString();
+    }
+
+    if (await compareAndSet(driverId, currentRaw, JSON.stringify(next))) {
+      if (changed) {
+        announce(io, current, next);
+      }
+      return next;
+    }
+  }
+
+  throw new Error(`Driver ${driverId} availability changed concurrently too many times`);
+}
+
+/**
+ * Move the driver's sockets in or out of the dispatch pool on every instance,
+ * and tell the driver and Laravel
+ */
+function announce(io, previous, next) {
+  const driverId = next.driver_id;
+  const userRoom = `user_${driverId}`;
+
+  if (next.is_available) {
+    io.in(userRoom).socketsJoin('available_drivers');
+  } else {
+    io.in(userRoom).socketsLeave('available_drivers');
+    // Not offered to radius dispatches until available again
+    driverLocator.remove(driverId).catch(error => {
+      logger.error('Failed to remove driver position', { driver_id: driverId, error: error.message });
+    });
+  }
+
+  const changeData = {
+    driver_id: driverId,
+    is_available: next.is_available,
+    reason: next.reason,
+    previous_reason: previous.reason,
+    trip_id: next.trip_id,
+    changed_at: next.updated_at
+  };
+
+  eventLog.publish(io, [userRoom], 'availability_changed', changeData);
+  webhookDispatcher.dispatch('driver.availability_changed', changeData);
+
+  logger.info('Driver availability changed', { driver_id: driverId, is_available: next.is_available, reason: next.reason });
+}
+
+/**
+ * The driver switched themselves on or off
+ */
+async function setManual(io, driverId, available) {
+  return update(io, driverId, () => ({ manual_off: !available }));
+}
+
+/**
+ * A driver socket connected: restore a driver who dropped off or went idle
+ */
+async function connected(io, socket) {
+  const driverId = socket.userId;
+
+  socketServer = io;
+  idleDrivers.delete(String(driverId));
+  resetHeartbeat(io, driverId);
+
+  const state = await update(io, driverId, () => ({ offline: false, idle: false }));
+
+  // announce() only moves sockets on a change; a driver who was already available still needs this one in the pool
+  if (state.is_available) {
+    socket.join('available_drivers');
+  }
+
+  return state;
+}
+
+/**
+ * A driver socket disconnected: the driver is unavailable once their last socket anywhere is gone
+ */
+async function disconnected(io, socket) {
+  const driverId = socket.userId;
+  const sockets = await io.in(`user_${driverId}`).fetchSockets();
+  if (sockets.length > 0) return;
+
+  clearTimeout(heartbeatTimers.get(String(driverId)));
+  heartbeatTimers.delete(String(driverId));
+  idleDrivers.delete(String(driverId));
+
+  await update(io, driverId, () => ({ offline: true }));
+}
+
+/**
+ * Sign of life from a driver's socket
+ */
+async function heartbeat(io, driverId) {
+  resetHeartbeat(io, driverId);
+
+  if (idleDrivers.delete(String(driverId))) {
+    await update(io, driverId, () => ({ idle: false }));
+  }
+}
+
+/**
+ * Sign of life from outside the driver's socket, e.g. a location update sent
+ * through Laravel. It may reach any instance, so it is relayed to all of them
+ * and the one holding the driver's socket resets its idle timer.
+ */
+async function activity(io, driverId) {
+  clusterBus.publish('driver_activity', { driver_id: driverId });
+  await heartbeatIfConnected(io, driverId);
+}
+
+async function heartbeatIfConnected(io, driverId) {
+  if (heartbeatTimers.has(String(driverId)) || idleDrivers.has(String(driverId))) {
+    await heartbeat(io, driverId);
+  }
+}
+
+function resetHeartbeat(io, driverId) {
+  if (!HEARTBEAT_TIMEOUT_MS) return;
+
+  clearTimeout(heartbeatTimers.get(String(driverId)));
+
+  const timer = setTimeout(() => {
+    heartbeatTimers.delete(String(driverId));
+    idleDrivers.add(String(driverId));
+
+    logger.warn('Driver missed heartbeat window', { driver_id: driverId, timeout_ms: HEARTBEAT_TIMEOUT_MS });
+
+    update(io, driverId, () => ({ idle: true })).catch(error => {
+      logger.error('Failed to mark driver idle', { driver_id: driverId, error: error.message });
+    });
+  }, HEARTBEAT_TIMEOUT_MS);
+  timer.unref();
+
+  heartbeatTimers.set(String(driverId), timer);
+}
+
+/**
+ * The driver accepted a trip and is out of the pool until it ends
+ */
+async function startTrip(io, driverId, tripId) {
+  return update(io, driverId, () => ({ trip_id: tripId }));
+}
+
+/**
+ * The driver's trip completed or was cancelled. Ignored if they are on another trip by now.
+ */
+async function endTrip(io, driverId, tripId) {
+  return update(io, driverId, (current) => (
+    current.trip_id && String(current.trip_id) !== String(tripId) ? {} : { trip_id: null }
+  ));
+}
+
+/**
+ * Drop expired in-memory states (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, driverId) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(driverId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+clusterBus.subscribe('driver_activity', ({ driver_id }) => {
+  if (!socketServer) return;
+
+  heartbeatIfConnected(socketServer, driver_id).catch(error => {
+    logger.error('Failed to record relayed driver heartbeat', { driver_id, error: error.message });
+  });
+});
+
+module.exports = {
+  getAvailability,
+  isAvailable,
+  setManual,
+  connected,
+  disconnected,
+  heartbeat,
+  activity,
+  startTrip,
+  endTrip
+};
@@ -0,0 +1,159 @@
+const { GeoReplyWith } = require('redis');
+const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const redis = require('./redis');
+
+// Positions older than this are treated as unknown (the driver stopped reporting)
+const MAX_POSITION_AGE_MS = parseInt(process.env.DRIVER_POSITION_MAX_AGE_MS) || 2 * 60 * 1000; // 2 minutes
+
+// Upper bounds for nearby queries
+const MAX_RADIUS_M = 50 * 1000; // 50 km
+const MAX_RESULTS = 100;
+
+const GEO_KEY = 'drivers:positions';
+const UPDATED_KEY = 'drivers:positions:updated_at';
+
+// driver_id -> { lat, lng, updated_at } when Redis is not in use
+const positions = new Map();
+
+/**
+ * Record the last known position of an available driver
+ */
+async function update(driverId, location) {
+  const point = geo.toPoint(location);
+  if (!point) return false;
+
+  const id = String(driverId);
+  const updatedAt = Date.now();
+  const client = redis.getClient();
+
+  if (client) {
+    await Promise.all([
+      client.geoAdd(GEO_KEY, { longitude: point.lng, latitude: point.lat, member: id }),
+      client.hSet(UPDATED_KEY, id, String(updatedAt))
+    ]);
+  } else {
+    positions.set(id, { ...point, updated_at: updatedAt });
+  }
+
+  return true;
+}
+
+/**
+ * Take a driver out of the index (unavailable, on a trip, or gone)
+ */
+async function remove(driverId) {
+  const id = String(driverId);
+  const client = redis.getClient();
+
+  if (client) {
+    await Promise.all([
+      client.zRem(GEO_KEY, id),
+      client.hDel(UPDATED_KEY, id)
+    ]);
+  } else {
+    positions.delete(id);
+  }
+}
+
+/**
+ * Apply a location update: available drivers are indexed, anyone else is removed
+ */
+async function track(driverId, location, isAvailable) {
+  try {
+    if (isAvailable) {
+      await update(driverId, location);
+    } else {
+      await remove(driverId);
+    }
+  } catch (error) {
+    logger.error('Failed to update driver position index', { driver_id: driverId, error: error.message });
+  }
+}
+
+/**
+ * Available drivers within radiusMeters of a point, closest first
+ */
+async function findNearby(center, radiusMeters, limit) {
+  const cutoff = Date.now() - MAX_POSITION_AGE_MS;
+  const client = redis.getClient();
+
+  if (client) {
+    // Over-fetch so stale entries filtered out below do not shrink the result too much
+    const members = await client.geoSearchWith(
+      GEO_KEY,
+      { longitude: center.lng, latitude: center.lat },
+      { radius: radiusMeters, unit: 'm' },
+      [GeoReplyWith.DISTANCE, GeoReplyWith.COORDINATES],
+      { SORT: 'ASC', COUNT: limit * 2 }
+    );
+    if (members.length === 0) return [];
+
+    const updatedAt = await client.hmGet(UPDATED_KEY, members.map(member => member.member));
+
+    return members
+      .map((member, index) => ({
+        driver_id: member.member,
+        distance_m: Math.round(Number(member.distance)),
+        location: { lat: Number(member.coordinates.latitude), lng: Number(member.coordinates.longitude) },
+        updated_at: Number(updatedAt[index]) || 0
+      }))
+      .filter(driver => driver.updated_at >= cutoff)
+      .slice(0, limit)
+      .map(driver => ({ ...driver, updated_at: new Date(driver.updated_at).toISOString() }));
+  }
+
+  const nearby = [];
+  positions.forEach((position, driverId) => {
+    if (position.updated_at < cutoff) return;
+
+    const distance = geo.distanceMeters(center, position);
+    if (distance <= radiusMeters) {
+      nearby.push({
+        driver_id: driverId,
+        distance_m: Math.round(distance),
+        location: { lat: position.lat, lng: position.lng },
+        updated_at: new Date(position.updated_at).toISOString()
+      });
+    }
+  });
+
+  return nearby
+    .sort((a, b) => a.distance_m - b.distance_m)
+    .slice(0, limit);
+}
+
+/**
+ * Drop positions that are too old to be useful
+ */
+async function pruneStale() {
+  const cutoff = Date.now() - MAX_POSITION_AGE_MS;
+  const client = redis.getClient();
+
+  if (client) {
+    const updatedAt = await client.hGetAll(UPDATED_KEY);
+    const stale = Object.keys(updatedAt).filter(id => Number(updatedAt[id]) < cutoff);
+    if (stale.length > 0) {
+      await Promise.all([client.zRem(GEO_KEY, stale), client.hDel(UPDATED_KEY, stale)]);
+    }
+    return;
+  }
+
+  positions.forEach((position, driverId) => {
+    if (position.updated_at < cutoff) {
+      positions.delete(driverId);
+    }
+  });
+}
+
+setInterval(() => {
+  pruneStale().catch(error => logger.error('Failed to prune driver positions', { error: error.message }));
+}, 60 * 1000).unref();
+
+module.exports = {
+  MAX_RADIUS_M,
+  MAX_RESULTS,
+  track,
+  remove,
+  findNearby
+};
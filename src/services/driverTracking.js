@@ -0,0 +1,212 @@
+const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const eventLog = require('./eventLog');
+const driverLocator = require('./driverLocator');
+const driverAvailability = require('./driverAvailability');
+const routeRecorder = require('./routeRecorder');
+const tripEta = require('./tripEta');
+const geofences = require('./geofences');
+const emergencyEscalation = require('./emergencyEscalation');
+const tripState = require('./tripState');
+const webhookDispatcher = require('./webhookDispatcher');
+
+const SYNC_INTERVAL_MS = parseInt(process.env.DRIVER_LOCATION_SYNC_INTERVAL_MS) || 10 * 1000; // 10 seconds
+
+// driver_location_update limits per room: at most one emit per interval_ms, and
+// none until the driver has moved distance_m from the last position sent there
+const THROTTLE = {
+  trip: {
+    interval_ms: parseInt(process.env.LOCATION_TRIP_MIN_INTERVAL_MS) || 1000,
+    distance_m: parseFloat(process.env.LOCATION_TRIP_MIN_DISTANCE_M) || 5
+  },
+  tracking: {
+    interval_ms: parseInt(process.env.LOCATION_TRACKING_MIN_INTERVAL_MS) || 3000,
+    distance_m: parseFloat(process.env.LOCATION_TRACKING_MIN_DISTANCE_M) || 25
+  }
+};
+const ROOM_STATE_IDLE_MS = 5 * 60 * 1000; // 5 minutes
+
+// room -> { last_point, last_emitted_at, pending, timer, touched_at }
+const roomStates = new Map();
+
+// driver_id -> latest position reported over the socket, waiting to be synced to Laravel
+const pendingSync = new Map();
+let syncTimer = null;
+let syncing = false;
+
+/**
+ * Index a driver's position and fan it out to the trip room and anyone tracking the driver.
+ * Shared by the HTTP endpoint and the driver_location socket event.
+ */
+async function publishLocation(io, locationData) {
+  const { driver_id, trip_id, location } = locationData;
+
+  // A driver reporting without a trip is free for radius dispatch, unless they are switched off or idle
+  await driverLocator.track(driver_id, location, !trip_id && await driverAvailability.isAvailable(driver_id));
+
+  if (trip_id) {
+    // Recording is best-effort; it must never hold up the live update
+    routeRecorder.record(trip_id, locationData).catch(error => {
+      logger.error('Failed to record trip route point', { trip_id, error: error.message });
+    });
+  }
+
+  const trip = trip_id ? await tripState.getTrip(trip_id) : null;
+
+  // Fill in distances and ETA the sender did not provide
+  broadcastLocation(io, driver_id, trip_id, tripEta.enrich(locationData, trip));
+
+  // Approaching / arrived / near destination hints
+  await geofences.evaluate(io, trip, locationData);
+
+  // Operators follow drivers involved in an escalated SOS
+  emergencyEscalation.streamLocation(io, locationData);
+
+  logger.debug('Driver location broadcasted', {
+    driver_id,
+    trip_id,
+    has_active_trip: !!trip_id
+  });
+}
+
+/**
+ * Send driver_location_update to the trip room (if the driver is on a trip) and to
+ * anyone specifically tracking this driver, each within its own rate limits
+ */
+function broadcastLocation(io, driverId, tripId, locationData) {
+  if (tripId) {
+    throttledEmit(io, `trip_${tripId}`, THROTTLE.trip, locationData);
+  }
+  throttledEmit(io, `track_driver_${driverId}`, THROTTLE.tracking, locationData);
+}
+
+/**
+ * Emit a position to one room within its limits. Updates arriving faster than the
+ * interval are coalesced: only the newest waits for the next slot, the rest are dropped.
+ */
+function throttledEmit(io, room, limits, locationData) {
+  const point = geo.toPoint(locationData.location);
+  const now = Date.now();
+
+  let state = roomStates.get(room);
+  if (!state) {
+    state = { last_point: null, last_emitted_at: 0, pending: null, timer: null };
+    roomStates.set(room, state);
+  }
+  state.touched_at = now;
+
+  // GPS jitter around the last position sent; anything still waiting is older than this, so drop it too
+  if (point && state.last_point && geo.distanceMeters(state.last_point, point) < limits.distance_m) {
+    state.pending = null;
+    return;
+  }
+
+  const waitMs = state.last_emitted_at + limits.interval_ms - now;
+  if (waitMs <= 0) {
+    state.pending = null;
+    emitLocation(io, room, state, locationData);
+    return;
+  }
+
+  state.pending = locationData;
+  if (!state.timer) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (state.pending) {
+        emitLocation(io, room, state, state.pending);
+        state.pending = null;
+      }
+    }, waitMs);
+  }
+}
+
+function emitLocation(io, room, state, locationData) {
+  state.last_point = geo.toPoint(locationData.location);
+  state.last_emitted_at = Date.now();
+
+  // Positions go stale within seconds: never replayed, and skipped for sockets
+  // that are still busy sending earlier data (the next position replaces them)
+  eventLog.publish(io, room, 'driver_location_update', locationData, { persist: false, volatile: true });
+}
+
+/**
+ * Forget throttling state for rooms that have gone quiet
+ */
+function pruneRoomStates() {
+  const cutoff = Date.now() - ROOM_STATE_IDLE_MS;
+
+  roomStates.forEach((state, room) => {
+    if (!state.timer && state.touched_at < cutoff) {
+      roomStates.delete(room);
+    }
+  });
+}
+
+setInterval(pruneRoomStates, 60 * 1000).unref();
+
+/**
+ * Remember a position Laravel has not seen yet; only the latest one per driver is synced
+ */
+function queueSync(locationData) {
+  if (!webhookDispatcher.isEnabled()) return;
+
+  pendingSync.set(String(locationData.driver_id), locationData);
+}
+
+/**
+ * Send every pending position to Laravel in one batch. Failed batches are not
+ * retried as-is: their positions are merged back in unless a newer one arrived.
+ */
+async function flushSync() {
+  if (syncing || pendingSync.size === 0) return;
+  syncing = true;
+
+  const batch = Array.from(pendingSync.values());
+  pendingSync.clear();
+
+  try {
+    const response = await webhookDispatcher.sendNow('driver.locations', { locations: batch });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    logger.debug('Driver locations synced to Laravel', { count: batch.length });
+  } catch (error) {
+    batch.forEach(locationData => {
+      const driverId = String(locationData.driver_id);
+      if (!pendingSync.has(driverId)) {
+        pendingSync.set(driverId, locationData);
+      }
+    });
+
+    logger.warn('Driver location sync failed, will retry with the next batch', { count: batch.length, error: error.message });
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Start the periodic location sync
+ */
+function start() {
+  syncTimer = setInterval(flushSync, SYNC_INTERVAL_MS);
+  syncTimer.unref();
+}
+
+/**
+ * Stop the periodic sync, sending whatever is still pending
+ */
+async function stop() {
+  clearInterval(syncTimer);
+  syncTimer = null;
+  await flushSync();
+}
+
+module.exports = {
+  publishLocation,
+  broadcastLocation,
+  queueSync,
+  start,
+  stop
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const redis = require('./redis');
+
+// Resolved alerts are kept this long for lookups, open ones until they are resolved
+const RESOLVED_RETENTION_MS = parseInt(process.env.EMERGENCY_RESOLVED_RETENTION_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const MAX_CAS_ATTEMPTS = 5;
+
+const ALERTS_KEY = 'emergency_alerts';
+
+// Compare-and-set on one hash field so two operators cannot both acknowledge or resolve an alert
+const CAS_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if (current or '') ~= ARGV[2] then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+
+// alert_id -> raw JSON when Redis is not in use
+const memoryStore = new Map();
+
+async function readRaw(alertId) {
+  const client = redis.getClient();
+  if (client) {
+    return client.hGet(ALERTS_KEY, String(alertId));
+  }
+  return memoryStore.get(String(alertId)) || null;
+}
+
+async function compareAndSet(alertId, expectedRaw, nextRaw) {
+  const client = redis.getClient();
+  if (client) {
+    const result = await client.eval(CAS_SCRIPT, {
+      keys: [ALERTS_KEY],
+      arguments: [String(alertId), expectedRaw || '', nextRaw]
+    });
+    return result === 1;
+  }
+
+  if ((memoryStore.get(String(alertId)) || '') !== (expectedRaw || '')) {
+    return false;
+  }
+  memoryStore.set(String(alertId), nextRaw);
+  return true;
+}
+
+async function readAll() {
+  const client = redis.getClient();
+  const raws = client ? Object.values(await client.hGetAll(ALERTS_KEY)) : Array.from(memoryStore.values());
+  return raws.map(raw => JSON.parse(raw));
+}
+
+/**
+ * Register a new alert as open. Resolves to the stored alert (with its alert_id).
+ */
+async function open(emergencyData) {
+  const alert = {
+    alert_id: crypto.randomUUID(),
+    trip_id: emergencyData.trip_id,
+    rider_id: emergencyData.rider_id,
+    driver_id: emergencyData.driver_id,
+    alert_type: emergencyData.alert_type,
+    triggered_by: emergencyData.triggered_by,
+    location: emergencyData.location,
+    additional_info: emergencyData.additional_info,
+    alert_time: emergencyData.alert_time,
+    status: 'open',
+    acknowledged_by: null,
+    acknowledged_at: null,
+    resolved_by: null,
+    resolved_at: null,
+    resolution: null,
+    escalation_level: 0,
+    severity: null,
+    escalated_at: null
+  };
+
+  await compareAndSet(alert.alert_id, null, JSON.stringify(alert));
+  return alert;
+}
+
+/**
+ * Alerts that still need attention (open or acknowledged), oldest first
+ */
+async function listActive() {
+  const alerts = await readAll();
+  return alerts
+    .filter(alert => alert.status !== 'resolved')
+    .sort((a, b) => Date.parse(a.alert_time) - Date.parse(b.alert_time));
+}
+
+/**
+ * Apply an operator action to an alert. `allowedFrom` lists the statuses the
+ * alert must be in; `changes` maps the current alert to the fields to update,
+ * or to null to refuse the update (with `refusedReason`).
+ * Resolves to { ok: true, alert } or { ok: false, reason, alert }.
+ */
+async function update(alertId, allowedFrom, changes, refusedReason = 'refused') {
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const currentRaw = await readRaw(alertId);
+    if (!currentRaw) {
+      return { ok: false, reason: 'not_found', alert: null };
+    }
+
+    const current = JSON.parse(currentRaw);
+    if (!allowedFrom.includes(current.status)) {
+      return { ok: false, reason: `already_${current.status}`, alert: current };
+    }
+
+    const changed = changes(current);
+    if (!changed) {
+      return { ok: false, reason: refusedReason, alert: current };
+    }
+
+    const next = { ...current, ...changed };
+    if (await compareAndSet(alertId, currentRaw, JSON.stringify(next))) {
+      return { ok: true, alert: next };
+    }
+  }
+
+  throw new Error(`Emergency alert ${alertId} changed concurrently too many times`);
+}
+
+/**
+ * A safety operator has seen the alert and is handling it
+ */
+async function acknowledge(alertId, operator) {
+  return update(alertId, ['open'], () => ({
+    status: 'acknowledged',
+    acknowledged_by: operator,
+    acknowledged_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * The emergency is over. An operator may resolve an alert without acknowledging it first.
+ */
+async function resolve(alertId, operator, resolution) {
+  const now = new Date().toISOString();
+
+  return update(alertId, ['open', 'acknowledged'], (current) => ({
+    status: 'resolved',
+    ...(current.acknowledged_at ? {} : { acknowledged_by: operator, acknowledged_at: now }),
+    resolved_by: operator,
+    resolved_at: now,
+    resolution
+  }));
+}
+
+/**
+ * Note that an alert nobody acknowledged has been escalated. Fails once it is acknowledged
+ * or resolved, and unless it is at the level just below, so instances that all watch the
+ * alert (e.g. after restarting) escalate each level once.
+ */
+async function recordEscalation(alertId, level, severity) {
+  return update(alertId, ['open'], current => (current.escalation_level === level - 1 ? {
+    escalation_level: level,
+    severity,
+    escalated_at: new Date().toISOString()
+  } : null), 'already_escalated');
+}
+
+/**
+ * Forget resolved alerts past their retention
+ */
+async function pruneResolved() {
+  const cutoff = Date.now() - RESOLVED_RETENTION_MS;
+  const expired = (await readAll())
+    .filter(alert => alert.status === 'resolved' && Date.parse(alert.resolved_at) < cutoff)
+    .map(alert => alert.alert_id);
+
+  if (expired.length === 0) return;
+
+  const client = redis.getClient();
+  if (client) {
+    await client.hDel(ALERTS_KEY, expired);
+  } else {
+    expired.forEach(alertId => memoryStore.delete(alertId));
+  }
+}
+
+setInterval(() => {
+  pruneResolved().catch(error => logger.error('Failed to prune resolved emergency alerts', { error: error.message }));
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  open,
+  listActive,
+  acknowledge,
+  resolve,
+  recordEscalation
+};
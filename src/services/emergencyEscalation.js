@@ -0,0 +1,198 @@
+const logger = require('../utils/logger');
+const httpClient = require('../utils/httpClient');
+const eventLog = require('./eventLog');
+const clusterBus = require('./clusterBus');
+const emergencyAlerts = require('./emergencyAlerts');
+const webhookDispatcher = require('./webhookDispatcher');
+
+const ESCALATION_WINDOW_MS = parseInt(process.env.EMERGENCY_ESCALATION_WINDOW_MS) || 60 * 1000; // 1 minute
+const ESCALATION_TIMEOUT_MS = parseInt(process.env.EMERGENCY_ESCALATION_TIMEOUT_MS) || 5000;
+
+// One step per window without an acknowledgement; the last one is final
+const SEVERITIES = ['elevated', 'high', 'critical'];
+
+// alert_id -> timer of the next escalation step scheduled on this instance
+const escalationTimers = new Map();
+
+// driver_id -> { alert_id, trip_id } for drivers whose position goes to the monitoring room
+const streamingDrivers = new Map();
+
+/**
+ * Start the escalation clock for a new alert, and stream the driver's position
+ * to the operators handling it. Each window it is still not acknowledged, it is
+ * escalated one severity further.
+ */
+function watch(io, alert) {
+  startStreaming(alert);
+  scheduleEscalation(io, alert, 1);
+}
+
+function scheduleEscalation(io, alert, level, delayMs = ESCALATION_WINDOW_MS) {
+  const timer = setTimeout(() => {
+    escalationTimers.delete(alert.alert_id);
+    escalate(io, alert.alert_id, level).catch(error => {
+      logger.error('Error escalating emergency alert', { alert_id: alert.alert_id, level, error: error.message });
+    });
+  }, delayMs);
+  timer.unref();
+
+  escalationTimers.set(alert.alert_id, timer);
+}
+
+/**
+ * Pick up the unresolved alerts after a restart: the escalation clock and location
+ * stream of an alert live on the instance that received it, and would otherwise
+ * be lost with it. Every instance does this; each escalation step is recorded once.
+ */
+async function restore(io) {
+  const alerts = await emergencyAlerts.listActive();
+
+  alerts.forEach((alert) => {
+    startStreaming(alert, { relay: false });
+
+    const level = alert.escalation_level + 1;
+    if (alert.status !== 'open' || level > SEVERITIES.length || escalationTimers.has(alert.alert_id)) return;
+
+    // The window runs from the last escalation, or from the alert itself
+    const since = Date.parse(alert.escalated_at || alert.alert_time);
+    scheduleEscalation(io, alert, level, Math.max(0, since + ESCALATION_WINDOW_MS - Date.now()));
+  });
+
+  if (alerts.length > 0) {
+    logger.info('Unresolved emergency alerts restored', { alerts: alerts.length });
+  }
+}
+
+async function escalate(io, alertId, level) {
+  const severity = SEVERITIES[level - 1];
+
+  // Fails once an operator has acknowledged (or resolved) the alert, on any instance
+  const result = await emergencyAlerts.recordEscalation(alertId, level, severity);
+  if (!result.ok) {
+    logger.debug('Emergency alert no longer needs escalation', { alert_id: alertId, reason: result.reason });
+    return;
+  }
+
+  const { alert } = result;
+  const unacknowledgedFor = Math.round((Date.now() - Date.parse(alert.alert_time)) / 1000);
+
+  logger.error('EMERGENCY ALERT ESCALATED', { alert_id: alertId, trip_id: alert.trip_id, level, severity, unacknowledged_for_s: unacknowledgedFor });
+
+  // Re-broadcast to the operators, louder each time
+  eventLog.publish(io, ['emergency_monitoring'], 'emergency_alert', {
+    ...alert,
+    escalated: true,
+    unacknowledged_for_s: unacknowledgedFor,
+    timestamp: new Date().toISOString()
+  });
+
+  const escalationData = {
+    alert,
+    escalation_level: level,
+    severity,
+    unacknowledged_for_s: unacknowledgedFor,
+    escalated_at: alert.escalated_at
+  };
+  notifyEscalationWebhook(escalationData);
+  webhookDispatcher.dispatch('emergency.escalated', escalationData);
+
+  if (level < SEVERITIES.length) {
+    scheduleEscalation(io, alert, level + 1);
+  }
+}
+
+/**
+ * POST the escalation to the on-call hook right away. Not queued: the next
+ * escalation step is the retry, and a late page is worse than a repeated one.
+ */
+function notifyEscalationWebhook(escalationData) {
+  const url = process.env.EMERGENCY_ESCALATION_WEBHOOK_URL;
+  if (!url) return;
+
+  const secret = process.env.EMERGENCY_ESCALATION_WEBHOOK_SECRET;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ event: 'emergency.escalated', data: escalationData });
+
+  const headers = {
+    'X-Allez-Event': 'emergency.escalated',
+    'X-Allez-Timestamp': String(timestamp)
+  };
+  if (secret) {
+    headers['X-Allez-Signature'] = `sha256=${webhookDispatcher.sign(secret, timestamp, body)}`;
+  }
+
+  httpClient.postJson(url, body, { headers, timeoutMs: ESCALATION_TIMEOUT_MS })
+    .then((response) => {
+      if (response.status < 200 || response.status >= 300) {
+        logger.error('Escalation webhook rejected', { alert_id: escalationData.alert.alert_id, status: response.status });
+      }
+    })
+    .catch((error) => {
+      logger.error('Escalation webhook failed', { alert_id: escalationData.alert.alert_id, error: error.message });
+    });
+}
+
+/**
+ * Send the driver's live position to the monitoring room from now until the alert is resolved
+ */
+function startStreaming(alert, { relay = true } = {}) {
+  if (!alert.driver_id) return;
+
+  streamingDrivers.set(String(alert.driver_id), { alert_id: alert.alert_id, trip_id: alert.trip_id });
+
+  // The driver's location updates may arrive at any instance
+  if (relay) {
+    clusterBus.publish('emergency_streaming_started', { alert_id: alert.alert_id, trip_id: alert.trip_id, driver_id: alert.driver_id });
+  }
+}
+
+/**
+ * Stop escalating and streaming a resolved alert
+ */
+function stop(alert, { relay = true } = {}) {
+  clearTimeout(escalationTimers.get(alert.alert_id));
+  escalationTimers.delete(alert.alert_id);
+
+  const driverId = alert.driver_id ? String(alert.driver_id) : null;
+  if (driverId && streamingDrivers.get(driverId)?.alert_id === alert.alert_id) {
+    streamingDrivers.delete(driverId);
+  }
+
+  if (relay) {
+    clusterBus.publish('emergency_streaming_stopped', { alert_id: alert.alert_id, driver_id: alert.driver_id });
+  }
+}
+
+/**
+ * Forward a driver location update to the monitoring room while the driver is in an unresolved emergency
+ */
+function streamLocation(io, locationData) {
+  const streaming = streamingDrivers.get(String(locationData.driver_id));
+  if (!streaming) return;
+
+  // Unthrottled, unlike the rider-facing updates: operators want every fix
+  eventLog.publish(io, ['emergency_monitoring'], 'emergency_location_update', {
+    alert_id: streaming.alert_id,
+    trip_id: streaming.trip_id,
+    driver_id: locationData.driver_id,
+    location: locationData.location,
+    heading: locationData.heading,
+    speed: locationData.speed,
+    timestamp: locationData.timestamp
+  }, { persist: false });
+}
+
+clusterBus.subscribe('emergency_streaming_started', (alert) => {
+  startStreaming(alert, { relay: false });
+});
+
+clusterBus.subscribe('emergency_streaming_stopped', (alert) => {
+  stop(alert, { relay: false });
+});
+
+module.exports = {
+  watch,
+  restore,
+  stop,
+  streamLocation
+};
@@ -0,0 +1,191 @@
+const logger = require('../utils/logger');
+const clusterBus = require('./clusterBus');
+const metrics = require('./metrics');
+
+// Only personal and trip rooms are logged; pool rooms such as available_drivers
+// are not tied to a single recipient, so there is nothing meaningful to replay
+const LOGGED_ROOM_PATTERN = /^(user|trip)_/;
+
+const MAX_EVENTS_PER_ROOM = parseInt(process.env.EVENT_LOG_MAX_PER_ROOM) || 100;
+const EVENT_TTL_MS = parseInt(process.env.EVENT_LOG_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+// room -> array of { event_id, event, data, expires_at }, oldest first
+const roomLogs = new Map();
+
+// Ids follow the wall clock (milliseconds x 1000, plus a counter within the same
+// millisecond) so they keep increasing across restarts and stay ordered across
+// instances. Ids logged by other instances push the local clock forward.
+let lastEventId = 0;
+
+/**
+ * Allocate the next event id
+ */
+function nextEventId() {
+  lastEventId = Math.max(lastEventId + 1, Date.now() * 1000);
+  return lastEventId;
+}
+
+/**
+ * Work out when an event stops being worth replaying
+ */
+function resolveExpiry(data, options) {
+  const candidates = [Date.now() + EVENT_TTL_MS];
+
+  const explicit = options.expiresAt || data?.expires_at;
+  if (explicit) {
+    const parsed = new Date(explicit).getTime();
+    if (!Number.isNaN(parsed)) {
+      candidates.push(parsed);
+    }
+  }
+
+  return Math.min(...candidates);
+}
+
+/**
+ * Append an entry to a room's log, trimming it to the configured bound
+ */
+function appendToRoom(room, entry) {
+  let log = roomLogs.get(room);
+  if (!log) {
+    log = [];
+    roomLogs.set(room, log);
+  }
+
+  log.push(entry);
+
+  if (log.length > MAX_EVENTS_PER_ROOM) {
+    log.splice(0, log.length - MAX_EVENTS_PER_ROOM);
+  }
+}
+
+/**
+ * Emit an event to one or more rooms, recording it in the log of every
+ * user_/trip_ room so that clients who missed it can have it replayed.
+ *
+ * A single event id is shared across all rooms of one call, so a client that
+ * sits in several of them can de-duplicate by event_id.
+ *
+ * Options:
+ *  - expiresAt: stop replaying after this time (defaults to data.expires_at)
+ *  - persist: set to false for transient events that should never be replayed
+ *  - volatile: skip sockets whose connection is not ready to take more data,
+ *    for events a newer one will supersede anyway
+ *
+ * Returns the event id.
+ */
+function publish(io, rooms, event, data, options = {}) {
+  const targetRooms = (Array.isArray(rooms) ? rooms : [rooms]).filter(Boolean);
+  const eventId = nextEventId();
+  const payload = { ...data, event_id: eventId };
+
+  if (options.persist !== false) {
+    const entry = {
+      event_id: eventId,
+      event,
+      data: payload,
+      expires_at: resolveExpiry(data, options)
+    };
+
+    const loggedRooms = targetRooms.filter(room => LOGGED_ROOM_PATTERN.test(room));
+    loggedRooms.forEach(room => appendToRoom(room, entry));
+
+    // Reconnecting clients may land on another instance, so every instance keeps a copy
+    if (loggedRooms.length > 0) {
+      clusterBus.publish('event_logged', { rooms: loggedRooms, entry });
+    }
+  }
+
+  if (targetRooms.length > 0) {
+    const target = options.volatile ? io.volatile.to(targetRooms) : io.to(targetRooms);
+    target.emit(event, payload);
+    metrics.recordEvent(event);
+  }
+
+  return eventId;
+}
+
+/**
+ * Collect unexpired events newer than lastEventId across the given rooms,
+ * de-duplicated and in event id order
+ */
+function getEventsSince(rooms, lastEventId) {
+  const now = Date.now();
+  const since = parseInt(lastEventId) || 0;
+  const seen = new Map();
+
+  rooms.forEach(room => {
+    const log = roomLogs.get(room);
+    if (!log) return;
+
+    log.forEach(entry => {
+      if (entry.event_id > since && entry.expires_at > now) {
+        seen.set(entry.event_id, entry);
+      }
+    });
+  });
+
+  return Array.from(seen.values()).sort((a, b) => a.event_id - b.event_id);
+}
+
+/**
+ * Re-send missed events to a single socket, then tell it the replay is done
+ */
+function replayToSocket(socket, rooms, lastEventId) {
+  if (lastEventId === undefined || lastEventId === null || lastEventId === '') {
+    return 0;
+  }
+
+  const events = getEventsSince(rooms, lastEventId);
+
+  events.forEach(entry => {
+    socket.emit(entry.event, { ...entry.data, replayed: true });
+  });
+
+  socket.emit('replay_complete', {
+    rooms,
+    replayed_count: events.length,
+    last_event_id: events.length > 0 ? events[events.length - 1].event_id : parseInt(lastEventId) || 0,
+    timestamp: new Date().toISOString()
+  });
+
+  logger.info('Missed events replayed', {
+    socketId: socket.id,
+    userId: socket.userId,
+    rooms,
+    last_event_id: lastEventId,
+    replayed_count: events.length
+  });
+
+  return events.length;
+}
+
+/**
+ * Drop expired entries and empty room logs
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  roomLogs.forEach((log, room) => {
+    const remaining = log.filter(entry => entry.expires_at > now);
+    if (remaining.length === 0) {
+      roomLogs.delete(room);
+    } else if (remaining.length !== log.length) {
+      roomLogs.set(room, remaining);
+    }
+  });
+}
+
+setInterval(pruneExpired, 60 * 1000).unref();
+
+clusterBus.subscribe('event_logged', ({ rooms, entry }) => {
+  lastEventId = Math.max(lastEventId, entry.event_id);
+  rooms.forEach(room => appendToRoom(room, entry));
+});
+
+module.exports = {
+  publish,
+  nextEventId,
+  getEventsSince,
+  replayToSocket
+};
@@ -0,0 +1,139 @@
+const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const eventLog = require('./eventLog');
+const redis = require('./redis');
+
+// A fence triggers when the driver comes within radius_m of its target and
+// re-arms only once they are more than radius_m + EXIT_MARGIN_M away again,
+// so GPS jitter around the edge cannot trigger it repeatedly
+const EXIT_MARGIN_M = parseInt(process.env.GEOFENCE_EXIT_MARGIN_M) || 50;
+const STATE_TTL_MS = parseInt(process.env.TRIP_STATE_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+// Checked in order, so a first fix right at the pickup still reports approaching before arrived
+const FENCES = [
+  {
+    name: 'approaching',
+    event: 'driver_approaching',
+    target: 'pickup_location',
+    states: ['accepted'],
+    radius_m: parseInt(process.env.GEOFENCE_APPROACHING_RADIUS_M) || 500
+  },
+  {
+    name: 'arrived',
+    // Not driver_arrived: clients treat that as the confirmed arrival
+    event: 'driver_arrival_suggested',
+    target: 'pickup_location',
+    states: ['accepted'],
+    radius_m: parseInt(process.env.GEOFENCE_ARRIVED_RADIUS_M) || 50
+  },
+  {
+    name: 'near_destination',
+    event: 'near_destination',
+    target: 'destination',
+    states: ['started'],
+    radius_m: parseInt(process.env.GEOFENCE_NEAR_DESTINATION_RADIUS_M) || 200
+  }
+];
+
+// trip_id -> { fences: { name: 'inside' | 'outside' }, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+function storageKey(tripId) {
+  return `geofence:${tripId}`;
+}
+
+async function readFenceStates(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    return client.hGetAll(storageKey(tripId));
+  }
+
+  const stored = memoryStore.get(String(tripId));
+  return stored && stored.expires_at > Date.now() ? stored.fences : {};
+}
+
+async function writeFenceState(tripId, name, value) {
+  const client = redis.getClient();
+  if (client) {
+    await client.hSet(storageKey(tripId), name, value);
+    await client.pExpire(storageKey(tripId), STATE_TTL_MS);
+    return;
+  }
+
+  const stored = memoryStore.get(String(tripId));
+  const fences = stored && stored.expires_at > Date.now() ? stored.fences : {};
+  fences[name] = value;
+  memoryStore.set(String(tripId), { fences, expires_at: Date.now() + STATE_TTL_MS });
+}
+
+/**
+ * Check a driver's position against the fences of the trip they are on and
+ * emit an event for every fence they just entered. `trip` is the trip's state record.
+ */
+async function evaluate(io, trip, locationData) {
+  const point = geo.toPoint(locationData.location);
+  if (!point || !trip) return;
+
+  const fences = FENCES.filter(fence => fence.states.includes(trip.state) && trip[fence.target]);
+  if (fences.length === 0) return;
+
+  const fenceStates = await readFenceStates(trip.trip_id);
+
+  for (const fence of fences) {
+    const distance = geo.distanceMeters(point, trip[fence.target]);
+    const inside = fenceStates[fence.name] === 'inside';
+
+    if (!inside && distance <= fence.radius_m) {
+      await writeFenceState(trip.trip_id, fence.name, 'inside');
+      emitFenceEvent(io, trip, fence, locationData, distance);
+    } else if (inside && distance > fence.radius_m + EXIT_MARGIN_M) {
+      await writeFenceState(trip.trip_id, fence.name, 'outside');
+      logger.debug('Geofence re-armed', { trip_id: trip.trip_id, fence: fence.name, distance_m: Math.round(distance) });
+    }
+  }
+}
+
+function emitFenceEvent(io, trip, fence, locationData, distance) {
+  const { trip_id, rider_id, driver_id } = trip;
+
+  const fenceData = {
+    trip_id,
+    driver_id: driver_id || locationData.driver_id,
+    rider_id,
+    geofence: fence.name,
+    radius_m: fence.radius_m,
+    distance_m: Math.round(distance),
+    location: locationData.location,
+    // Only the driver (through Laravel) confirms arrival; this is a hint from their position
+    suggested: true,
+    timestamp: new Date().toISOString()
+  };
+
+  const rooms = [
+    `trip_${trip_id}`,
+    rider_id ? `user_${rider_id}` : null,
+    fenceData.driver_id ? `user_${fenceData.driver_id}` : null
+  ];
+  eventLog.publish(io, rooms, fence.event, fenceData);
+
+  logger.info('Geofence triggered', { trip_id, geofence: fence.name, distance_m: fenceData.distance_m });
+}
+
+/**
+ * Drop expired in-memory fence states (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, tripId) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(tripId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+module.exports = {
+  evaluate
+};
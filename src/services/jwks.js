@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const httpClient = require('../utils/httpClient');
+
+// How often the JWKS is reloaded, and the least time between reloads forced by an unknown kid
+const REFRESH_INTERVAL_MS = parseInt(process.env.JWT_JWKS_REFRESH_MS) || 10 * 60 * 1000; // 10 minutes
+const MIN_REFRESH_INTERVAL_MS = parseInt(process.env.JWT_JWKS_MIN_REFRESH_MS) || 30 * 1000;
+// A key removed from the JWKS keeps verifying tokens this long, so tokens
+// signed just before a rollover are not rejected the moment it is published
+const ROLLOVER_GRACE_MS = parseInt(process.env.JWT_KEY_ROLLOVER_GRACE_MS) || 60 * 60 * 1000; // 1 hour
+const FETCH_TIMEOUT_MS = parseInt(process.env.JWT_JWKS_TIMEOUT_MS) || 5000;
+
+// Only asymmetric algorithms: the middleman must be able to check tokens, never mint them
+const SUPPORTED_ALGORITHMS = { RSA: 'RS256', EC: 'ES256' };
+
+// kid -> { key: KeyObject, algorithm, retired_at }
+const keys = new Map();
+let lastRefreshAt = 0;
+let refreshing = null;
+let refreshTimer = null;
+
+function isConfigured() {
+  return Boolean(process.env.JWT_JWKS_FILE || process.env.JWT_JWKS_URL);
+}
+
+async function loadDocument() {
+  if (process.env.JWT_JWKS_FILE) {
+    return JSON.parse(await fs.promises.readFile(process.env.JWT_JWKS_FILE, 'utf8'));
+  }
+  return httpClient.getJson(process.env.JWT_JWKS_URL, { timeoutMs: FETCH_TIMEOUT_MS });
+}
+
+/**
+ * Public key of one JWK, or null for keys we cannot or should not verify with
+ */
+function importKey(jwk) {
+  const algorithm = SUPPORTED_ALGORITHMS[jwk.kty];
+  if (!jwk.kid || !algorithm || (jwk.alg && jwk.alg !== algorithm) || (jwk.use && jwk.use !== 'sig')) {
+    return null;
+  }
+  if (jwk.kty === 'EC' && jwk.crv !== 'P-256') {
+    return null;
+  }
+
+  try {
+    // Only the public members, in case a private key was published by mistake
+    const { kty, n, e, crv, x, y } = jwk;
+    return { key: crypto.createPublicKey({ key: { kty, n, e, crv, x, y }, format: 'jwk' }), algorithm };
+  } catch (error) {
+    logger.warn('Skipping unusable JWK', { kid: jwk.kid, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Reload the JWKS. Keys no longer listed are retired and dropped after the rollover grace period.
+ */
+async function refresh() {
+  if (refreshing) return refreshing;
+
+  refreshing = (async () => {
+    lastRefreshAt = Date.now();
+
+    try {
+      const document = await loadDocument();
+      const listed = new Set();
+
+      (document.keys || []).forEach((jwk) => {
+        const imported = importKey(jwk);
+        if (!imported) return;
+
+        listed.add(jwk.kid);
+        keys.set(jwk.kid, { ...imported, retired_at: null });
+      });
+
+      const now = Date.now();
+      keys.forEach((entry, kid) => {
+        if (listed.has(kid)) return;
+
+        if (!entry.retired_at) {
+          entry.retired_at = now;
+          logger.info('JWT signing key retired', { kid, grace_ms: ROLLOVER_GRACE_MS });
+        } else if (now - entry.retired_at > ROLLOVER_GRACE_MS) {
+          keys.delete(kid);
+        }
+      });
+
+      logger.debug('JWKS loaded', { kids: Array.from(listed) });
+    } catch (error) {
+      // Keep verifying with the keys we already have
+      logger.error('Failed to load JWKS', { error: error.message });
+    } finally {
+      refreshing = null;
+    }
+  })();
+
+  return refreshing;
+}
+
+/**
+ * Load the JWKS and keep reloading it periodically
+ */
+function start() {
+  if (!isConfigured() || refreshTimer) return;
+
+  refresh();
+  refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+  refreshTimer.unref();
+}
+
+/**
+ * Verification key for a token's kid. An unknown kid triggers a reload (at
+ * most every MIN_REFRESH_INTERVAL_MS), since it may be a newly published key.
+ * Resolves to { key, algorithm } or null.
+ */
+async function getKey(kid) {
+  if (!kid) return null;
+
+  if (refreshing) await refreshing;
+
+  if (!keys.has(kid) && Date.now() - lastRefreshAt >= MIN_REFRESH_INTERVAL_MS) {
+    await refresh();
+  }
+
+  const entry = keys.get(kid);
+  if (!entry) return null;
+
+  if (entry.retired_at && Date.now() - entry.retired_at > ROLLOVER_GRACE_MS) {
+    keys.delete(kid);
+    return null;
+  }
+
+  return { key: entry.key, algorithm: entry.algorithm };
+}
+
+module.exports = {
+  isConfigured,
+  start,
+  refresh,
+  getKey
+};
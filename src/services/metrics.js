@@ -0,0 +1,125 @@
+const client = require('prom-client');
+const connections = require('./connections');
+
+const PREFIX = 'allez_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Sockets and rooms are read off this instance's Socket.IO server at scrape time
+let socketServer = null;
+
+new client.Gauge({
+  name: `${PREFIX}connected_sockets`,
+  help: 'Sockets connected to this instance, by user type',
+  labelNames: ['user_type'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!socketServer) return;
+
+    socketServer.of('/').sockets.forEach((socket) => {
+      this.inc({ user_type: socket.userType || 'unknown' });
+    });
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}rooms`,
+  help: 'Rooms with at least one socket on this instance, by kind of room',
+  labelNames: ['type'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!socketServer) return;
+
+    const { rooms, sids } = socketServer.of('/').adapter;
+    rooms.forEach((members, room) => {
+      // Every socket has a private room named after its id
+      if (sids.has(room)) return;
+      this.inc({ type: connections.roomType(room) });
+    });
+  }
+});
+
+const eventsEmitted = new client.Counter({
+  name: `${PREFIX}events_emitted_total`,
+  help: 'Events broadcast to rooms, by event name',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+const apiRequests = new client.Counter({
+  name: `${PREFIX}api_requests_total`,
+  help: 'Backend API calls, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const apiLatency = new client.Histogram({
+  name: `${PREFIX}api_request_duration_seconds`,
+  help: 'Backend API response time, by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+const authFailures = new client.Counter({
+  name: `${PREFIX}auth_failures_total`,
+  help: 'Rejected authentication attempts, by kind of client and reason',
+  labelNames: ['type', 'reason'],
+  registers: [register]
+});
+
+/**
+ * Give the collectors access to the Socket.IO server
+ */
+function attach(io) {
+  socketServer = io;
+}
+
+function recordEvent(event) {
+  eventsEmitted.inc({ event });
+}
+
+function recordAuthFailure(type, reason) {
+  authFailures.inc({ type, reason });
+}
+
+/**
+ * Express middleware timing every request it sees. Routes are labelled with
+ * their pattern (/api/trip/:id/route), never the raw path, to keep the number
+ * of series bounded.
+ */
+function trackRequests(req, res, next) {
+  const endTimer = apiLatency.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: String(res.statusCode)
+    };
+
+    endTimer(labels);
+    apiRequests.inc(labels);
+  });
+
+  next();
+}
+
+/**
+ * Prometheus text exposition of every metric
+ */
+async function render() {
+  return register.metrics();
+}
+
+module.exports = {
+  contentType: register.contentType,
+  attach,
+  recordEvent,
+  recordAuthFailure,
+  trackRequests,
+  render
+};
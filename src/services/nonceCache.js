@@ -0,0 +1,43 @@
+const redis = require('./redis');
+
+// nonce -> expires_at when Redis is not in use
+const memoryStore = new Map();
+
+/**
+ * Remember a nonce for ttlMs. Resolves to false if it was already seen, on any
+ * instance when Redis is configured, so a captured request cannot be replayed.
+ */
+async function claim(nonce, ttlMs) {
+  const client = redis.getClient();
+  if (client) {
+    const result = await client.set(`backend_nonce:${nonce}`, '1', { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  const expiresAt = memoryStore.get(nonce);
+  if (expiresAt && expiresAt > Date.now()) {
+    return false;
+  }
+
+  memoryStore.set(nonce, Date.now() + ttlMs);
+  return true;
+}
+
+/**
+ * Drop expired in-memory nonces (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((expiresAt, nonce) => {
+    if (expiresAt <= now) {
+      memoryStore.delete(nonce);
+    }
+  });
+}
+
+setInterval(pruneExpired, 60 * 1000).unref();
+
+module.exports = {
+  claim
+};
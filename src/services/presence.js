@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+const driverAvailability = require('./driverAvailability');
+const redis = require('./redis');
+
+// How long we remember a user who has not connected again
+const RETENTION_MS = parseInt(process.env.PRESENCE_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_BULK_USERS = parseInt(process.env.PRESENCE_BULK_LIMIT) || 100;
+
+// user_id -> { user_type, last_seen, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+function storageKey(userId) {
+  return `presence:${userId}`;
+}
+
+async function record(userId, fields) {
+  const client = redis.getClient();
+  if (client) {
+    await client.hSet(storageKey(userId), fields);
+    await client.pExpire(storageKey(userId), RETENTION_MS);
+    return;
+  }
+
+  const stored = memoryStore.get(String(userId));
+  memoryStore.set(String(userId), {
+    ...(stored && stored.expires_at > Date.now() ? stored : {}),
+    ...fields,
+    expires_at: Date.now() + RETENTION_MS
+  });
+}
+
+async function readRecord(userId) {
+  const client = redis.getClient();
+  if (client) {
+    const stored = await client.hGetAll(storageKey(userId));
+    return Object.keys(stored).length > 0 ? stored : null;
+  }
+
+  const stored = memoryStore.get(String(userId));
+  return stored && stored.expires_at > Date.now() ? stored : null;
+}
+
+/**
+ * Note a socket connecting; called from handleConnection
+ */
+function socketConnected(socket) {
+  record(socket.userId, {
+    user_type: socket.userType,
+    last_seen: new Date().toISOString()
+  }).catch(error => {
+    logger.error('Failed to record presence', { userId: socket.userId, error: error.message });
+  });
+}
+
+/**
+ * Note a socket going away; called from handleDisconnection
+ */
+function socketDisconnected(socket) {
+  record(socket.userId, {
+    last_seen: new Date().toISOString()
+  }).catch(error => {
+    logger.error('Failed to record presence', { userId: socket.userId, error: error.message });
+  });
+}
+
+/**
+ * Presence of one user. Live sockets are counted through the adapter, so a
+ * user connected to any instance is online.
+ */
+async function lookup(io, userId) {
+  const [sockets, stored] = await Promise.all([
+    io.in(`user_${userId}`).fetchSockets(),
+    readRecord(userId)
+  ]);
+
+  const online = sockets.length > 0;
+  const userType = stored?.user_type || null;
+  const availability = userType === 'driver' ? await driverAvailability.getAvailability(userId) : null;
+
+  return {
+    user_id: userId,
+    online,
+    user_type: userType,
+    socket_count: sockets.length,
+    // Still connected means seen just now
+    last_seen: online ? new Date().toISOString() : (stored?.last_seen || null),
+    is_available: availability ? availability.is_available : null,
+    availability_reason: availability ? availability.reason : null
+  };
+}
+
+/**
+ * Presence of several users, in the order asked
+ */
+async function lookupMany(io, userIds) {
+  return Promise.all(userIds.map(userId => lookup(io, userId)));
+}
+
+/**
+ * Drop in-memory users past their retention (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, userId) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(userId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 60 * 60 * 1000).unref();
+
+module.exports = {
+  MAX_BULK_USERS,
+  socketConnected,
+  socketDisconnected,
+  lookup,
+  lookupMany
+};
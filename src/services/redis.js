@@ -0,0 +1,116 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+// Attempts made before giving up at startup and falling back to in-memory mode.
+// Once connected, the client keeps reconnecting indefinitely.
+const STARTUP_CONNECT_RETRIES = parseInt(process.env.REDIS_CONNECT_RETRIES) || 5;
+
+let client = null;
+let subscriber = null;
+
+/**
+ * Whether Redis has been configured through the environment
+ */
+function isConfigured() {
+  return Boolean(process.env.REDIS_URL || process.env.REDIS_HOST);
+}
+
+/**
+ * Build client options from REDIS_URL, or REDIS_HOST/REDIS_PORT/REDIS_PASSWORD
+ */
+function buildOptions() {
+  let everConnected = false;
+
+  const reconnectStrategy = (retries, cause) => {
+    if (!everConnected && retries >= STARTUP_CONNECT_RETRIES) {
+      return new Error(`Redis unreachable after ${retries} attempts: ${cause?.message}`);
+    }
+    return Math.min(retries * 200, 5000);
+  };
+
+  const options = process.env.REDIS_URL
+    ? { url: process.env.REDIS_URL, socket: { reconnectStrategy } }
+    : {
+      socket: {
+        host: process.env.REDIS_HOST,
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        reconnectStrategy
+      },
+      password: process.env.REDIS_PASSWORD || undefined
+    };
+
+  return { options, markConnected: () => { everConnected = true; } };
+}
+
+/**
+ * Create and connect a client, logging errors instead of crashing the process
+ */
+async function createConnectedClient(role) {
+  const { options, markConnected } = buildOptions();
+  const redisClient = createClient(options);
+
+  redisClient.on('error', (error) => {
+    logger.error('Redis client error', { role, error: error.message });
+  });
+  redisClient.on('ready', () => {
+    markConnected();
+    logger.info('Redis client ready', { role });
+  });
+
+  await redisClient.connect();
+  return redisClient;
+}
+
+/**
+ * Connect the command and subscriber clients.
+ * Returns true when Redis is available, false when running in-memory.
+ */
+async function connect() {
+  if (!isConfigured()) {
+    logger.info('Redis not configured, using in-memory state');
+    return false;
+  }
+
+  try {
+    client = await createConnectedClient('command');
+    subscriber = await createConnectedClient('subscriber');
+    return true;
+  } catch (error) {
+    logger.error('Failed to connect to Redis, falling back to in-memory state', { error: error.message });
+    await disconnect();
+    return false;
+  }
+}
+
+/**
+ * Close both clients
+ */
+async function disconnect() {
+  await Promise.all([client, subscriber].filter(Boolean).map(redisClient => (
+    redisClient.isOpen ? redisClient.quit().catch(() => redisClient.disconnect()) : null
+  )));
+  client = null;
+  subscriber = null;
+}
+
+/**
+ * Command client, or null when Redis is not in use
+ */
+function getClient() {
+  return client;
+}
+
+/**
+ * Subscriber client (pub/sub only), or null when Redis is not in use
+ */
+function getSubscriber() {
+  return subscriber;
+}
+
+module.exports = {
+  isConfigured,
+  connect,
+  disconnect,
+  getClient,
+  getSubscriber
+};
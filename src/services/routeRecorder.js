@@ -0,0 +1,196 @@
+const logger = require('../utils/logger');
+const geo = require('../utils/geo');
+const redis = require('./redis');
+
+const RETENTION_MS = parseInt(process.env.TRIP_ROUTE_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_POINTS = parseInt(process.env.TRIP_ROUTE_MAX_POINTS) || 20000;
+
+// The driver counts as stopped while staying within STOP_RADIUS_M for at least STOP_MIN_DURATION_MS
+const STOP_RADIUS_M = parseInt(process.env.TRIP_ROUTE_STOP_RADIUS_M) || 30;
+const STOP_MIN_DURATION_MS = parseInt(process.env.TRIP_ROUTE_STOP_MIN_DURATION_MS) || 60 * 1000; // 1 minute
+
+// trip_id -> { meta, points, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+function metaKey(tripId) {
+  return `trip_route:${tripId}:meta`;
+}
+
+function pointsKey(tripId) {
+  return `trip_route:${tripId}:points`;
+}
+
+async function readMeta(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    const raw = await client.get(metaKey(tripId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  const stored = memoryStore.get(String(tripId));
+  return stored && stored.expires_at > Date.now() ? stored.meta : null;
+}
+
+/**
+ * Start recording a trip's route (on trip_started). Restarting a recording trip is a no-op.
+ */
+async function start(tripId) {
+  const meta = {
+    trip_id: tripId,
+    status: 'recording',
+    started_at: new Date().toISOString(),
+    ended_at: null
+  };
+  const client = redis.getClient();
+
+  if (client) {
+    // NX: a repeated trip_started must not wipe the recording
+    await client.set(metaKey(tripId), JSON.stringify(meta), { NX: true, PX: RETENTION_MS });
+  } else if (!(await readMeta(tripId))) {
+    memoryStore.set(String(tripId), { meta, points: [], expires_at: Date.now() + RETENTION_MS });
+  }
+
+  logger.debug('Trip route recording started', { trip_id: tripId });
+}
+
+/**
+ * Append a position to the route if the trip is being recorded
+ */
+async function record(tripId, locationData) {
+  const point = geo.toPoint(locationData.location);
+  if (!point) return;
+
+  const meta = await readMeta(tripId);
+  if (!meta || meta.status !== 'recording') return;
+
+  const entry = {
+    lat: point.lat,
+    lng: point.lng,
+    at: Date.parse(locationData.timestamp) || Date.now(),
+    speed: locationData.speed,
+    heading: locationData.heading
+  };
+  const client = redis.getClient();
+
+  if (client) {
+    const length = await client.rPush(pointsKey(tripId), JSON.stringify(entry));
+    if (length === 1) {
+      await client.pExpire(pointsKey(tripId), RETENTION_MS);
+    } else if (length > MAX_POINTS) {
+      await client.lTrim(pointsKey(tripId), 0, MAX_POINTS - 1);
+    }
+    return;
+  }
+
+  const stored = memoryStore.get(String(tripId));
+  if (stored.points.length < MAX_POINTS) {
+    stored.points.push(entry);
+  }
+}
+
+/**
+ * Stop recording (trip completed or cancelled); the route is kept for the retention period from now
+ */
+async function finish(tripId, status) {
+  const meta = await readMeta(tripId);
+  if (!meta || meta.status !== 'recording') return;
+
+  const finished = { ...meta, status, ended_at: new Date().toISOString() };
+  const client = redis.getClient();
+
+  if (client) {
+    await Promise.all([
+      client.set(metaKey(tripId), JSON.stringify(finished), { PX: RETENTION_MS }),
+      client.pExpire(pointsKey(tripId), RETENTION_MS)
+    ]);
+  } else {
+    const stored = memoryStore.get(String(tripId));
+    stored.meta = finished;
+    stored.expires_at = Date.now() + RETENTION_MS;
+  }
+
+  logger.info('Trip route recording finished', { trip_id: tripId, status });
+}
+
+/**
+ * Periods where the driver stayed within STOP_RADIUS_M of one spot for at least STOP_MIN_DURATION_MS
+ */
+function findStops(points) {
+  const stops = [];
+  let anchor = 0;
+
+  const closeStop = (endIndex) => {
+    const duration = points[endIndex].at - points[anchor].at;
+    if (duration >= STOP_MIN_DURATION_MS) {
+      stops.push({
+        location: { lat: points[anchor].lat, lng: points[anchor].lng },
+        started_at: new Date(points[anchor].at).toISOString(),
+        ended_at: new Date(points[endIndex].at).toISOString(),
+        duration_s: Math.round(duration / 1000)
+      });
+    }
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (geo.distanceMeters(points[anchor], points[i]) > STOP_RADIUS_M) {
+      closeStop(i - 1);
+      anchor = i;
+    }
+  }
+  if (points.length > 0) {
+    closeStop(points.length - 1);
+  }
+
+  return stops;
+}
+
+/**
+ * Recorded route of a trip with its distance, duration and stops, or null if none was recorded
+ */
+async function getRoute(tripId) {
+  const meta = await readMeta(tripId);
+  if (!meta) return null;
+
+  const client = redis.getClient();
+  const points = client
+    ? (await client.lRange(pointsKey(tripId), 0, -1)).map(raw => JSON.parse(raw))
+    : memoryStore.get(String(tripId)).points.slice();
+
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += geo.distanceMeters(points[i - 1], points[i]);
+  }
+
+  const endedAt = meta.ended_at ? Date.parse(meta.ended_at) : Date.now();
+
+  return {
+    ...meta,
+    distance_m: Math.round(distance),
+    duration_s: Math.round((endedAt - Date.parse(meta.started_at)) / 1000),
+    point_count: points.length,
+    stops: findStops(points),
+    points
+  };
+}
+
+/**
+ * Drop expired in-memory routes (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, tripId) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(tripId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+module.exports = {
+  start,
+  record,
+  finish,
+  getRoute
+};
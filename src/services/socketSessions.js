@@ -0,0 +1,174 @@
+const logger = require('../utils/logger');
+const redis = require('./redis');
+
+// Revoking a user invalidates every token issued before it, so the marker must
+// outlive the longest-lived token (JWT_EXPIRES_IN defaults to 24h)
+const REVOCATION_TTL_MS = parseInt(process.env.TOKEN_REVOCATION_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+// Clients are told this long before their token expires, to refresh it in time
+const EXPIRY_WARNING_MS = parseInt(process.env.TOKEN_EXPIRY_WARNING_MS) || 60 * 1000;
+// setTimeout cannot wait longer than this; longer-lived tokens are re-checked
+const MAX_TIMER_MS = 2147483647;
+
+// key -> { value, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+async function writeMarker(key, value, ttlMs) {
+  const client = redis.getClient();
+  if (client) {
+    await client.set(key, value, { PX: ttlMs });
+    return;
+  }
+  memoryStore.set(key, { value, expires_at: Date.now() + ttlMs });
+}
+
+async function readMarker(key) {
+  const client = redis.getClient();
+  if (client) {
+    return client.get(key);
+  }
+
+  const stored = memoryStore.get(key);
+  return stored && stored.expires_at > Date.now() ? stored.value : null;
+}
+
+/**
+ * Whether verified claims belong to a revoked token, or were issued to a
+ * revoked user before the revocation
+ */
+async function isRevoked(claims) {
+  const userId = claims.user_id || claims.id;
+
+  const [jtiRevoked, userRevokedAt] = await Promise.all([
+    claims.jti ? readMarker(`revoked_jti:${claims.jti}`) : null,
+    userId !== undefined ? readMarker(`revoked_user:${userId}`) : null
+  ]);
+
+  if (jtiRevoked) return true;
+  if (!userRevokedAt) return false;
+
+  // iat has one-second resolution, so the revocation time is kept in seconds too:
+  // a token issued in the second of the revocation (e.g. the fresh token handed
+  // out right after it) stays valid. A token without iat cannot prove it is newer.
+  return !claims.iat || claims.iat < Number(userRevokedAt);
+}
+
+/**
+ * Take a socket's token into account: remember its jti and expiry (visible to
+ * other instances through socket.data) and disconnect the socket when it expires
+ */
+function track(socket, claims) {
+  socket.data.token_jti = claims.jti || null;
+  socket.data.token_expires_at = claims.exp ? new Date(claims.exp * 1000).toISOString() : null;
+
+  scheduleExpiry(socket, claims.exp ? claims.exp * 1000 : null);
+}
+
+function scheduleExpiry(socket, expiresAt) {
+  clearTimeout(socket.tokenWarningTimer);
+  clearTimeout(socket.tokenExpiryTimer);
+
+  // Tokens without exp never expire
+  if (!expiresAt) return;
+
+  const remaining = expiresAt - Date.now();
+
+  if (remaining > EXPIRY_WARNING_MS) {
+    socket.tokenWarningTimer = setTimeout(() => {
+      socket.emit('token_expiring', {
+        expires_at: new Date(expiresAt).toISOString(),
+        message: 'Send refresh_token with a new token to stay connected'
+      });
+    }, Math.min(remaining - EXPIRY_WARNING_MS, MAX_TIMER_MS));
+    socket.tokenWarningTimer.unref();
+  }
+
+  socket.tokenExpiryTimer = setTimeout(() => {
+    if (Date.now() < expiresAt) {
+      scheduleExpiry(socket, expiresAt);
+      return;
+    }
+
+    logger.info('Socket token expired without refresh', { socketId: socket.id, userId: socket.userId });
+
+    socket.emit('token_expired', { message: 'Your session has expired, please reconnect with a new token' });
+    socket.disconnect(true);
+  }, Math.max(0, Math.min(remaining, MAX_TIMER_MS)));
+  socket.tokenExpiryTimer.unref();
+}
+
+/**
+ * Stop a socket's expiry timers (on disconnect)
+ */
+function untrack(socket) {
+  clearTimeout(socket.tokenWarningTimer);
+  clearTimeout(socket.tokenExpiryTimer);
+}
+
+/**
+ * Tell sockets why they are being dropped, then disconnect them on whichever instance they are
+ */
+function notifyAndDisconnect(target, reason) {
+  target.emit('session_revoked', {
+    reason,
+    message: 'Your session has been revoked',
+    timestamp: new Date().toISOString()
+  });
+  target.disconnectSockets(true);
+}
+
+/**
+ * Invalidate every token issued to a user so far and disconnect all of their sockets.
+ * Resolves to the number of sockets disconnected.
+ */
+async function revokeUser(io, userId, reason) {
+  await writeMarker(`revoked_user:${userId}`, String(Math.floor(Date.now() / 1000)), REVOCATION_TTL_MS);
+
+  const target = io.in(`user_${userId}`);
+  const sockets = await target.fetchSockets();
+  if (sockets.length > 0) {
+    notifyAndDisconnect(target, reason);
+  }
+
+  logger.warn('User sessions revoked', { userId, reason, sockets: sockets.length });
+  return sockets.length;
+}
+
+/**
+ * Invalidate one token and disconnect the sockets that authenticated with it.
+ * Resolves to the number of sockets disconnected.
+ */
+async function revokeToken(io, jti, reason, expiresAt = null) {
+  const ttlMs = expiresAt ? Math.max(Date.parse(expiresAt) - Date.now(), 1000) : REVOCATION_TTL_MS;
+  await writeMarker(`revoked_jti:${jti}`, '1', ttlMs);
+
+  const sockets = (await io.fetchSockets()).filter(socket => socket.data.token_jti === jti);
+  if (sockets.length > 0) {
+    notifyAndDisconnect(io.in(sockets.map(socket => socket.id)), reason);
+  }
+
+  logger.warn('Token revoked', { jti, reason, sockets: sockets.length });
+  return sockets.length;
+}
+
+/**
+ * Drop expired in-memory markers (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, key) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(key);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+module.exports = {
+  isRevoked,
+  track,
+  untrack,
+  revokeUser,
+  revokeToken
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const eventLog = require('./eventLog');
+const tripState = require('./tripState');
+const webhookDispatcher = require('./webhookDispatcher');
+const redis = require('./redis');
+
+const RETENTION_MS = parseInt(process.env.TRIP_CHAT_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_MESSAGES = parseInt(process.env.TRIP_CHAT_MAX_MESSAGES) || 500;
+const MAX_MESSAGE_LENGTH = parseInt(process.env.TRIP_CHAT_MAX_MESSAGE_LENGTH) || 1000;
+
+// Chat is open from acceptance until the trip completes or is cancelled
+const OPEN_STATES = ['accepted', 'driver_arrived', 'started'];
+
+// trip_id -> { messages, reads, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+function messagesKey(tripId) {
+  return `trip_chat:${tripId}:messages`;
+}
+
+function readsKey(tripId) {
+  return `trip_chat:${tripId}:reads`;
+}
+
+function memoryChat(tripId) {
+  let chat = memoryStore.get(String(tripId));
+  if (!chat || chat.expires_at <= Date.now()) {
+    chat = { messages: [], reads: {}, expires_at: Date.now() + RETENTION_MS };
+    memoryStore.set(String(tripId), chat);
+  }
+  return chat;
+}
+
+/**
+ * Check that a user may chat in a trip: only its rider and driver, and only while it is under way.
+ * Resolves to { ok: true, trip, role } or { ok: false, reason }.
+ */
+async function authorize(tripId, userId) {
+  const trip = await tripState.getTrip(tripId);
+  if (!trip) {
+    return { ok: false, reason: 'trip_not_found' };
+  }
+
+  let role = null;
+  if (trip.rider_id !== undefined && String(trip.rider_id) === String(userId)) role = 'rider';
+  if (trip.driver_id !== undefined && String(trip.driver_id) === String(userId)) role = 'driver';
+
+  if (!role) {
+    return { ok: false, reason: 'not_a_participant' };
+  }
+
+  if (!OPEN_STATES.includes(trip.state)) {
+    return { ok: false, reason: tripState.isTerminal(trip.state) ? 'chat_closed' : 'chat_not_open', trip, role };
+  }
+
+  return { ok: true, trip, role };
+}
+
+function participantRooms(trip) {
+  return [trip.rider_id, trip.driver_id]
+    .filter(id => id !== undefined && id !== null)
+    .map(id => `user_${id}`);
+}
+
+/**
+ * Store a message and deliver it to both participants.
+ * Resolves to { ok: true, message } or { ok: false, reason }.
+ */
+async function send(io, tripId, senderId, text) {
+  if (typeof text !== 'string' || text.trim() === '' || text.length > MAX_MESSAGE_LENGTH) {
+    return { ok: false, reason: 'invalid_message' };
+  }
+
+  const access = await authorize(tripId, senderId);
+  if (!access.ok) return access;
+
+  const message = {
+    message_id: crypto.randomUUID(),
+    trip_id: tripId,
+    sender_id: senderId,
+    sender_type: access.role,
+    text: text.trim(),
+    sent_at: new Date().toISOString()
+  };
+
+  const client = redis.getClient();
+  if (client) {
+    const length = await client.rPush(messagesKey(tripId), JSON.stringify(message));
+    if (length > MAX_MESSAGES) {
+      await client.rPop(messagesKey(tripId));
+      return { ok: false, reason: 'chat_full' };
+    }
+    await client.pExpire(messagesKey(tripId), RETENTION_MS);
+  } else {
+    const chat = memoryChat(tripId);
+    if (chat.messages.length >= MAX_MESSAGES) {
+      return { ok: false, reason: 'chat_full' };
+    }
+    chat.messages.push(message);
+  }
+
+  // Participants' own rooms rather than trip_<id>, which anyone may subscribe to.
+  // Logged there too, so a participant who reconnects gets missed messages replayed.
+  eventLog.publish(io, participantRooms(access.trip), 'chat_message', message);
+
+  return { ok: true, message };
+}
+
+/**
+ * Tell the other participant someone is typing. Never stored or replayed.
+ */
+async function typing(io, tripId, userId, isTyping) {
+  const access = await authorize(tripId, userId);
+  if (!access.ok) return access;
+
+  const otherId = access.role === 'rider' ? access.trip.driver_id : access.trip.rider_id;
+  if (otherId !== undefined && otherId !== null) {
+    eventLog.publish(io, `user_${otherId}`, 'typing', {
+      trip_id: tripId,
+      user_id: userId,
+      is_typing: Boolean(isTyping),
+      timestamp: new Date().toISOString()
+    }, { persist: false, volatile: true });
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Record that a participant has read every message up to and including messageId
+ */
+async function markRead(io, tripId, userId, messageId) {
+  const access = await authorize(tripId, userId);
+  // Reading what was said before the trip ended is still fine
+  if (!access.ok && access.reason !== 'chat_closed') return access;
+
+  const messages = await getMessages(tripId);
+  if (!messages.some(message => message.message_id === messageId)) {
+    return { ok: false, reason: 'message_not_found' };
+  }
+
+  const readAt = new Date().toISOString();
+  const read = { message_id: messageId, read_at: readAt };
+
+  const client = redis.getClient();
+  if (client) {
+    await client.hSet(readsKey(tripId), String(userId), JSON.stringify(read));
+    await client.pExpire(readsKey(tripId), RETENTION_MS);
+  } else {
+    memoryChat(tripId).reads[String(userId)] = read;
+  }
+
+  eventLog.publish(io, participantRooms(access.trip), 'message_read', {
+    trip_id: tripId,
+    message_id: messageId,
+    reader_id: userId,
+    read_at: readAt
+  });
+
+  return { ok: true };
+}
+
+async function getMessages(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    return (await client.lRange(messagesKey(tripId), 0, -1)).map(raw => JSON.parse(raw));
+  }
+
+  const chat = memoryStore.get(String(tripId));
+  return chat && chat.expires_at > Date.now() ? chat.messages.slice() : [];
+}
+
+async function getReads(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    const reads = await client.hGetAll(readsKey(tripId));
+    return Object.fromEntries(Object.entries(reads).map(([userId, raw]) => [userId, JSON.parse(raw)]));
+  }
+
+  const chat = memoryStore.get(String(tripId));
+  return chat && chat.expires_at > Date.now() ? { ...chat.reads } : {};
+}
+
+/**
+ * A participant's view of the conversation, optionally only what came after afterMessageId
+ */
+async function getHistory(tripId, userId, afterMessageId = null) {
+  const access = await authorize(tripId, userId);
+  if (!access.ok && access.reason !== 'chat_closed') return access;
+
+  let messages = await getMessages(tripId);
+  if (afterMessageId) {
+    const index = messages.findIndex(message => message.message_id === afterMessageId);
+    messages = index === -1 ? messages : messages.slice(index + 1);
+  }
+
+  return {
+    ok: true,
+    trip_id: tripId,
+    closed: !access.ok,
+    messages,
+    reads: await getReads(tripId)
+  };
+}
+
+/**
+ * Full transcript for support review, or null if the trip has no chat
+ */
+async function getTranscript(tripId) {
+  const [trip, messages, reads] = await Promise.all([
+    tripState.getTrip(tripId),
+    getMessages(tripId),
+    getReads(tripId)
+  ]);
+
+  if (messages.length === 0 && !trip) return null;
+
+  return {
+    trip_id: tripId,
+    rider_id: trip?.rider_id ?? null,
+    driver_id: trip?.driver_id ?? null,
+    trip_state: trip?.state ?? null,
+    closed: trip ? !OPEN_STATES.includes(trip.state) : true,
+    message_count: messages.length,
+    messages,
+    reads
+  };
+}
+
+/**
+ * Close the chat when the trip completes or is cancelled: tell both participants
+ * and hand the transcript to Laravel for support. The trip state already stops
+ * new messages, and the history stays readable until it expires.
+ */
+async function close(io, trip, reason) {
+  const rooms = participantRooms(trip);
+  if (rooms.length > 0) {
+    eventLog.publish(io, rooms, 'chat_closed', {
+      trip_id: trip.trip_id,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const transcript = await getTranscript(trip.trip_id);
+  if (transcript && transcript.message_count > 0) {
+    webhookDispatcher.dispatch('trip.chat_transcript', { ...transcript, closed_reason: reason });
+  }
+
+  logger.debug('Trip chat closed', { trip_id: trip.trip_id, reason, message_count: transcript?.message_count || 0 });
+}
+
+/**
+ * Drop expired in-memory chats (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((chat, tripId) => {
+    if (chat.expires_at <= now) {
+      memoryStore.delete(tripId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+module.exports = {
+  send,
+  typing,
+  markRead,
+  getHistory,
+  getTranscript,
+  close
+};
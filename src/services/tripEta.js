@@ -0,0 +1,102 @@
+const geo = require('../utils/geo');
+const tripState = require('./tripState');
+
+const KMH_TO_MPS = 1000 / 3600;
+
+// Assumed speed until a driver has moved enough to measure one, and the floor
+// that stops the ETA running away while they wait at a light
+const DEFAULT_SPEED_MPS = (parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 25) * KMH_TO_MPS;
+const MIN_SPEED_MPS = (parseFloat(process.env.ETA_MIN_SPEED_KMH) || 8) * KMH_TO_MPS;
+// Weight of the newest speed sample in the moving average
+const SMOOTHING = parseFloat(process.env.ETA_SPEED_SMOOTHING) || 0.3;
+// Roads are longer than the straight line between two points
+const ROUTE_FACTOR = parseFloat(process.env.ETA_ROUTE_FACTOR) || 1.3;
+
+// Samples further apart than this say nothing about the current speed
+const MAX_SAMPLE_GAP_MS = 60 * 1000;
+// Faster than this between two fixes is a GPS glitch, not driving
+const MAX_PLAUSIBLE_SPEED_MPS = 70;
+
+// driver_id -> { point, at, speed_mps }
+const driverSpeeds = new Map();
+
+/**
+ * Fold a new position into the driver's smoothed speed (m/s), derived from
+ * successive positions since apps report speed in inconsistent units
+ */
+function observeSpeed(driverId, point, at) {
+  const id = String(driverId);
+  const previous = driverSpeeds.get(id);
+  let speed = previous ? previous.speed_mps : null;
+
+  if (previous && at > previous.at && at - previous.at <= MAX_SAMPLE_GAP_MS) {
+    const sample = geo.distanceMeters(previous.point, point) / ((at - previous.at) / 1000);
+
+    if (sample <= MAX_PLAUSIBLE_SPEED_MPS) {
+      speed = speed === null ? sample : SMOOTHING * sample + (1 - SMOOTHING) * speed;
+    }
+  }
+
+  driverSpeeds.set(id, { point, at, speed_mps: speed });
+  return speed;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Add straight-line distance_to_pickup / distance_to_destination (metres) and an
+ * estimated_arrival at the current target to a location update, for whatever
+ * fields the sender left empty. The pickup is the target until the trip starts.
+ * `trip` is the trip's state record, or null when the driver is not on a trip.
+ */
+function enrich(locationData, trip) {
+  const point = geo.toPoint(locationData.location);
+  if (!point) return locationData;
+
+  const at = Date.parse(locationData.timestamp) || Date.now();
+  const speed = observeSpeed(locationData.driver_id, point, at);
+
+  if (!trip || tripState.isTerminal(trip.state)) return locationData;
+
+  const enriched = { ...locationData };
+  const beforeStart = trip.state !== 'started';
+  const toPickup = trip.pickup_location ? geo.distanceMeters(point, trip.pickup_location) : null;
+  const toDestination = trip.destination ? geo.distanceMeters(point, trip.destination) : null;
+
+  if (beforeStart && toPickup !== null && isMissing(enriched.distance_to_pickup)) {
+    enriched.distance_to_pickup = Math.round(toPickup);
+  }
+  if (toDestination !== null && isMissing(enriched.distance_to_destination)) {
+    enriched.distance_to_destination = Math.round(toDestination);
+  }
+
+  const remaining = beforeStart ? toPickup : toDestination;
+  if (remaining !== null && isMissing(enriched.estimated_arrival)) {
+    const effectiveSpeed = Math.max(speed ?? DEFAULT_SPEED_MPS, MIN_SPEED_MPS);
+    const seconds = (remaining * ROUTE_FACTOR) / effectiveSpeed;
+    enriched.estimated_arrival = new Date(at + seconds * 1000).toISOString();
+  }
+
+  return enriched;
+}
+
+/**
+ * Forget speeds of drivers that stopped reporting
+ */
+function pruneIdle() {
+  const cutoff = Date.now() - 10 * 60 * 1000;
+
+  driverSpeeds.forEach((sample, driverId) => {
+    if (sample.at < cutoff) {
+      driverSpeeds.delete(driverId);
+    }
+  });
+}
+
+setInterval(pruneIdle, 5 * 60 * 1000).unref();
+
+module.exports = {
+  enrich
+};
@@ -0,0 +1,303 @@
+const logger = require('../utils/logger');
+const eventLog = require('./eventLog');
+const tripState = require('./tripState');
+const clusterBus = require('./clusterBus');
+const redis = require('./redis');
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+const DEFAULT_WAVE_SIZE = parseInt(process.env.DISPATCH_WAVE_SIZE) || 1;
+const DEFAULT_WAVE_TIMEOUT_MS = parseInt(process.env.DISPATCH_WAVE_TIMEOUT_MS) || 15 * 1000; // 15 seconds
+const STATE_TTL_MS = parseInt(process.env.TRIP_STATE_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+// trip_id -> { io, trip_id, rider_id, drivers: Set, expires_at, timer, waves }
+// waves is null for broadcast offers, otherwise { queue, size, timeout_ms, number, timer, request }
+const openOffers = new Map();
+
+// trip_id -> { drivers: Set, expires_at } of the drivers a wave dispatch has reached, when
+// Redis is not in use. With Redis every instance reads the same set, so a driver connected
+// to another instance than the one running the waves is checked against it too.
+const memoryOffered = new Map();
+
+function offeredKey(tripId) {
+  return `trip_offer_drivers:${tripId}`;
+}
+
+/**
+ * Forget which drivers an earlier wave dispatch of the trip reached
+ */
+async function forgetOffered(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    await client.del(offeredKey(tripId));
+    return;
+  }
+  memoryOffered.delete(String(tripId));
+}
+
+async function recordOffered(tripId, driverIds) {
+  const client = redis.getClient();
+  if (client) {
+    await client.sAdd(offeredKey(tripId), driverIds);
+    await client.pExpire(offeredKey(tripId), STATE_TTL_MS);
+    return;
+  }
+
+  const stored = memoryOffered.get(String(tripId)) || { drivers: new Set() };
+  driverIds.forEach(driverId => stored.drivers.add(driverId));
+  stored.expires_at = Date.now() + STATE_TTL_MS;
+  memoryOffered.set(String(tripId), stored);
+}
+
+/**
+ * Start tracking an offer that was just sent to drivers and schedule its expiry.
+ * Re-sending an offer for the same trip replaces the previous one.
+ *
+ * With a wave dispatch ({ drivers, wave_size, wave_timeout_ms }) the middleman
+ * sends the offer itself: first to the first wave_size drivers of the ordered
+ * list, widening to the next wave every wave_timeout_ms until someone accepts.
+ */
+async function open(io, requestData, dispatch = null) {
+  const { trip_id, rider_id, nearby_drivers, expires_at } = requestData;
+  close(trip_id);
+  await forgetOffered(trip_id);
+
+  const expiresAt = new Date(expires_at).getTime();
+  if (Number.isNaN(expiresAt)) {
+    logger.warn('Trip offer has no valid expiry, not scheduling', { trip_id, expires_at });
+    return null;
+  }
+
+  const offer = {
+    io,
+    trip_id,
+    rider_id,
+    drivers: new Set(dispatch ? [] : (nearby_drivers || []).map(String)),
+    expires_at: new Date(expiresAt).toISOString(),
+    timer: null,
+    waves: null
+  };
+
+  offer.timer = setTimeout(() => {
+    expire(io, offer).catch(error => {
+      logger.error('Error expiring trip offer', { trip_id, error: error.message });
+    });
+  }, Math.min(Math.max(0, expiresAt - Date.now()), MAX_TIMER_MS));
+  offer.timer.unref();
+
+  openOffers.set(String(trip_id), offer);
+
+  logger.debug('Trip offer expiry scheduled', { trip_id, expires_at: offer.expires_at });
+
+  if (dispatch) {
+    offer.waves = {
+      queue: dispatch.drivers.map(String),
+      size: dispatch.wave_size || DEFAULT_WAVE_SIZE,
+      timeout_ms: dispatch.wave_timeout_ms || DEFAULT_WAVE_TIMEOUT_MS,
+      total: Math.ceil(dispatch.drivers.length / (dispatch.wave_size || DEFAULT_WAVE_SIZE)),
+      number: 0,
+      timer: null,
+      request: requestData
+    };
+    await sendNextWave(io, offer);
+  }
+
+  return offer;
+}
+
+/**
+ * Offer the trip to the next wave of drivers and schedule the one after it
+ */
+async function sendNextWave(io, offer) {
+  const { waves } = offer;
+  const wave = waves.queue.splice(0, waves.size);
+  if (wave.length === 0) return;
+
+  waves.number += 1;
+  wave.forEach(driverId => offer.drivers.add(driverId));
+  // Recorded before the offer goes out, so the drivers can accept it wherever they are connected
+  await recordOffered(offer.trip_id, wave);
+
+  const driverRooms = wave.map(driverId => `user_${driverId}`);
+  eventLog.publish(io, driverRooms, 'new_trip_request', {
+    ...waves.request,
+    nearby_drivers: wave,
+    wave: waves.number,
+    waves_total: waves.total,
+    timestamp: new Date().toISOString()
+  });
+
+  logger.info('Trip offer wave sent', {
+    trip_id: offer.trip_id,
+    wave: waves.number,
+    drivers: wave,
+    remaining: waves.queue.length
+  });
+
+  if (waves.queue.length === 0) return;
+
+  waves.timer = setTimeout(() => {
+    widen(io, offer).catch(error => {
+      logger.error('Error sending next trip offer wave', { trip_id: offer.trip_id, error: error.message });
+    });
+  }, waves.timeout_ms);
+  waves.timer.unref();
+}
+
+/**
+ * Move on to the next wave if the offer is still open
+ */
+async function widen(io, offer) {
+  if (openOffers.get(String(offer.trip_id)) !== offer) return;
+
+  const trip = await tripState.getTrip(offer.trip_id);
+  if (trip && trip.state !== 'sent_to_drivers') {
+    close(offer.trip_id);
+    return;
+  }
+
+  await sendNextWave(io, offer);
+}
+
+/**
+ * Stop tracking an offer (accepted, cancelled or withdrawn) and cancel its expiry and waves
+ */
+function close(tripId) {
+  const offer = openOffers.get(String(tripId));
+  if (!offer) return null;
+
+  clearTimeout(offer.timer);
+  if (offer.waves) {
+    clearTimeout(offer.waves.timer);
+  }
+  openOffers.delete(String(tripId));
+  return offer;
+}
+
+/**
+ * Close an offer and, if the middleman ran its dispatch waves, tell every driver it
+ * was sent to (other than `except`, typically the winner) that it is gone. Laravel
+ * does not know which drivers a wave dispatch reached, so it cannot do this itself.
+ */
+function withdraw(tripId, { reason, except = null } = {}) {
+  const offer = close(tripId);
+
+  if (!offer) {
+    // The dispatch may be running on another instance
+    clusterBus.publish('offer_withdrawn', { trip_id: tripId, reason, except });
+    return;
+  }
+
+  notifyWithdrawn(offer, reason, except);
+}
+
+function notifyWithdrawn(offer, reason, except) {
+  const { io, trip_id: tripId } = offer;
+  if (!offer.waves) return;
+
+  const drivers = Array.from(offer.drivers).filter(driverId => driverId !== String(except));
+  if (drivers.length === 0) return;
+
+  eventLog.publish(io, drivers.map(driverId => `user_${driverId}`), 'trip_no_longer_available', {
+    trip_id: tripId,
+    status: 'no_longer_available',
+    reason,
+    accepted_by_driver_id: reason === 'accepted_by_another' ? except : undefined,
+    timestamp: new Date().toISOString()
+  });
+
+  logger.info('Trip offer withdrawn from dispatched drivers', { trip_id: tripId, reason, drivers_notified: drivers.length });
+}
+
+/**
+ * Whether a trip was offered to a driver. After a wave dispatch, only drivers in a
+ * wave sent so far were; broadcast offers also reach the general driver pool, so
+ * every driver may have seen those.
+ */
+async function isOfferedTo(tripId, driverId) {
+  const client = redis.getClient();
+  if (client) {
+    const [waveDispatch, reached] = await Promise.all([
+      client.exists(offeredKey(tripId)),
+      client.sIsMember(offeredKey(tripId), String(driverId))
+    ]);
+    return !waveDispatch || Boolean(reached);
+  }
+
+  const stored = memoryOffered.get(String(tripId));
+  if (!stored || stored.expires_at <= Date.now()) return true;
+
+  return stored.drivers.has(String(driverId));
+}
+
+/**
+ * Withdraw an offer nobody accepted in time
+ */
+async function expire(io, offer) {
+  const { trip_id, rider_id } = offer;
+  close(trip_id);
+
+  // The state check makes expiry lose cleanly against an acceptance or
+  // cancellation that raced it, on this or any other instance
+  const result = await tripState.transition(trip_id, 'no_longer_available', {
+    onlyFrom: ['sent_to_drivers']
+  });
+
+  if (!result.ok || !result.changed) {
+    logger.debug('Trip offer closed before expiry', { trip_id, state: result.current_state || result.trip?.state });
+    return;
+  }
+
+  const unavailableData = {
+    trip_id,
+    status: 'no_longer_available',
+    reason: 'expired',
+    offer_expired_at: offer.expires_at,
+    timestamp: new Date().toISOString()
+  };
+
+  // Withdraw from the notified drivers, and the general driver pool if it was offered there
+  const driverRooms = Array.from(offer.drivers).map(driverId => `user_${driverId}`);
+  const rooms = offer.waves ? driverRooms : [...driverRooms, 'available_drivers'];
+  eventLog.publish(io, rooms, 'trip_no_longer_available', unavailableData);
+
+  // Let the rider know nobody took the trip
+  if (rider_id) {
+    eventLog.publish(io, `user_${rider_id}`, 'trip_request_expired', unavailableData);
+  }
+
+  logger.info('Trip offer expired', {
+    trip_id,
+    rider_id,
+    drivers_notified: offer.drivers.size
+  });
+}
+
+/**
+ * Drop expired in-memory records (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryOffered.forEach((stored, tripId) => {
+    if (stored.expires_at <= now) {
+      memoryOffered.delete(tripId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+clusterBus.subscribe('offer_withdrawn', ({ trip_id, reason, except }) => {
+  const offer = close(trip_id);
+  if (offer) {
+    notifyWithdrawn(offer, reason, except);
+  }
+});
+
+module.exports = {
+  open,
+  withdraw,
+  isOfferedTo
+};
@@ -0,0 +1,212 @@
+const logger = require('../utils/logger');
+const redis = require('./redis');
+
+const STATE_TTL_MS = parseInt(process.env.TRIP_STATE_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const MAX_HISTORY = 20;
+const MAX_CAS_ATTEMPTS = 5;
+
+// Lifecycle: sent_to_drivers -> accepted -> driver_arrived -> started -> completed,
+// with cancelled as a terminal branch. An offer nobody took (no_longer_available)
+// can still be sent out again or cancelled by the rider.
+const TRANSITIONS = {
+  sent_to_drivers: ['sent_to_drivers', 'accepted', 'no_longer_available', 'cancelled'],
+  accepted: ['driver_arrived', 'started', 'cancelled'],
+  driver_arrived: ['started', 'cancelled'],
+  started: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  no_longer_available: ['sent_to_drivers', 'cancelled']
+};
+
+// Events that are legitimate once the offer has closed but do not move the trip,
+// e.g. telling the remaining drivers a trip was taken after it was accepted
+const NOTIFICATION_ONLY = {
+  no_longer_available: ['accepted', 'driver_arrived', 'started', 'completed', 'cancelled', 'no_longer_available']
+};
+
+const TERMINAL_STATES = Object.keys(TRANSITIONS).filter(state => TRANSITIONS[state].length === 0);
+
+// Compare-and-set so concurrent transitions on different instances cannot both win
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if (current or '') ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1
+`;
+
+// trip_id -> { raw, expires_at } when Redis is not in use
+const memoryStore = new Map();
+
+function storageKey(tripId) {
+  return `trip_state:${tripId}`;
+}
+
+async function readRaw(tripId) {
+  const client = redis.getClient();
+  if (client) {
+    return client.get(storageKey(tripId));
+  }
+
+  const stored = memoryStore.get(String(tripId));
+  if (!stored || stored.expires_at <= Date.now()) {
+    return null;
+  }
+  return stored.raw;
+}
+
+async function compareAndSet(tripId, expectedRaw, nextRaw) {
+  const client = redis.getClient();
+  if (client) {
+    const result = await client.eval(CAS_SCRIPT, {
+      keys: [storageKey(tripId)],
+      arguments: [expectedRaw || '', nextRaw, String(STATE_TTL_MS)]
+    });
+    return result === 1;
+  }
+
+  const current = await readRaw(tripId);
+  if ((current || '') !== (expectedRaw || '')) {
+    return false;
+  }
+  memoryStore.set(String(tripId), { raw: nextRaw, expires_at: Date.now() + STATE_TTL_MS });
+  return true;
+}
+
+/**
+ * Current record for a trip, or null if it has not been seen
+ */
+async function getTrip(tripId) {
+  const raw = await readRaw(tripId);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Check whether a trip may move from one state to another
+ */
+function checkTransition(fromState, toState) {
+  // A trip we have never seen (or forgot after a restart) adopts whatever arrives first
+  if (!fromState) {
+    return { allowed: true, changes_state: true };
+  }
+
+  if (TRANSITIONS[fromState]?.includes(toState)) {
+    return { allowed: true, changes_state: true };
+  }
+
+  if (NOTIFICATION_ONLY[toState]?.includes(fromState)) {
+    return { allowed: true, changes_state: false };
+  }
+
+  return { allowed: false, changes_state: false };
+}
+
+/**
+ * Laravel re-announcing an acceptance the middleman already arbitrated
+ * (e.g. over the socket) for the same driver is a confirmation, not a transition
+ */
+function isConfirmation(current, toState, details) {
+  return current?.state === 'accepted' &&
+    toState === 'accepted' &&
+    details.driver_id !== undefined &&
+    String(details.driver_id) === String(current.driver_id);
+}
+
+/**
+ * Move a trip to a new lifecycle state.
+ *
+ * Options:
+ *  - force: apply the transition even if it is out of order (manual correction)
+ *  - onlyFrom: states the trip must currently be in; stricter than the lifecycle
+ *    table, and an unknown trip is rejected rather than adopted
+ *  - details: ids to remember on the trip record (rider_id, driver_id)
+ *
+ * Resolves to { ok: true, trip, previous_state, changed, forced } on success or
+ * { ok: false, trip, current_state, allowed_states } when rejected.
+ */
+async function transition(tripId, toState, options = {}) {
+  const { force = false, onlyFrom = null, details = {} } = options;
+
+  if (!TRANSITIONS[toState]) {
+    throw new Error(`Unknown trip state: ${toState}`);
+  }
+
+  for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+    const currentRaw = await readRaw(tripId);
+    const current = currentRaw ? JSON.parse(currentRaw) : null;
+    const fromState = current?.state || null;
+    const check = isConfirmation(current, toState, details)
+      ? { allowed: true, changes_state: false }
+      : checkTransition(fromState, toState);
+
+    const outsideOnlyFrom = onlyFrom && check.changes_state && !onlyFrom.includes(fromState);
+
+    if (outsideOnlyFrom || (!check.allowed && !force)) {
+      return {
+        ok: false,
+        trip: current,
+        current_state: fromState,
+        allowed_states: TRANSITIONS[fromState] || []
+      };
+    }
+
+    if (check.allowed && !check.changes_state) {
+      return { ok: true, trip: current, previous_state: fromState, changed: false, forced: false };
+    }
+
+    const now = new Date().toISOString();
+    const definedDetails = Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value !== undefined && value !== null)
+    );
+    const next = {
+      ...(current || { trip_id: tripId, created_at: now }),
+      ...definedDetails,
+      state: toState,
+      updated_at: now,
+      history: [
+        ...(current?.history || []),
+        { from: fromState, to: toState, at: now, forced: !check.allowed }
+      ].slice(-MAX_HISTORY)
+    };
+
+    if (await compareAndSet(tripId, currentRaw, JSON.stringify(next))) {
+      if (!check.allowed) {
+        logger.warn('Forced trip state transition', { trip_id: tripId, from: fromState, to: toState });
+      }
+      return { ok: true, trip: next, previous_state: fromState, changed: true, forced: !check.allowed };
+    }
+  }
+
+  throw new Error(`Trip ${tripId} state changed concurrently too many times`);
+}
+
+/**
+ * Whether a state ends the trip lifecycle
+ */
+function isTerminal(state) {
+  return TERMINAL_STATES.includes(state);
+}
+
+/**
+ * Drop expired in-memory records (Redis expires its own keys)
+ */
+function pruneExpired() {
+  const now = Date.now();
+
+  memoryStore.forEach((stored, tripId) => {
+    if (stored.expires_at <= now) {
+      memoryStore.delete(tripId);
+    }
+  });
+}
+
+setInterval(pruneExpired, 10 * 60 * 1000).unref();
+
+module.exports = {
+  TRANSITIONS,
+  getTrip,
+  transition,
+  checkTransition,
+  isTerminal
+};
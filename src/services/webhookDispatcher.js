@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const httpClient = require('../utils/httpClient');
+const redis = require('./redis');
+const clusterBus = require('./clusterBus');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 10 * 60 * 1000; // 10 minutes
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000;
+const DEAD_LETTER_LIMIT = parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT) || 500;
+const QUEUE_FILE = path.resolve(process.env.WEBHOOK_QUEUE_FILE || path.join(__dirname, '../../data/webhook-queue.json'));
+const PERSIST_DELAY_MS = parseInt(process.env.WEBHOOK_PERSIST_DELAY_MS) || 200;
+
+// Shared by every instance when Redis is in use, so any of them can list, retry or discard a dead letter
+const DEAD_LETTERS_KEY = 'webhook:dead_letters';
+
+// Client errors other than these will not succeed on retry, so they dead-letter immediately
+const RETRYABLE_CLIENT_STATUSES = [408, 409, 425, 429];
+
+let pending = [];
+// Dead letters when Redis is not in use (and those restored from the file until it is)
+let deadLetters = [];
+let pollTimer = null;
+let processing = false;
+let persistTimer = null;
+let persisting = Promise.resolve();
+
+function getConfig() {
+  return {
+    url: process.env.LARAVEL_WEBHOOK_URL,
+    secret: process.env.LARAVEL_WEBHOOK_SECRET
+  };
+}
+
+/**
+ * Whether outbound webhooks have been configured
+ */
+function isEnabled() {
+  return Boolean(getConfig().url);
+}
+
+/**
+ * Signature Laravel verifies: HMAC-SHA256 over "<timestamp>.<body>"
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function loadQueue() {
+  try {
+    if (!fs.existsSync(QUEUE_FILE)) return;
+
+    const stored = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+    pending = stored.pending || [];
+    deadLetters = stored.dead_letters || [];
+
+    logger.info('Webhook queue restored', { pending: pending.length, dead_letters: deadLetters.length });
+  } catch (error) {
+    logger.error('Failed to load webhook queue, starting empty', { file: QUEUE_FILE, error: error.message });
+  }
+}
+
+function serializeQueue() {
+  return JSON.stringify({ pending, dead_letters: deadLetters });
+}
+
+/**
+ * Write the queue to disk shortly, coalescing the changes made in the meantime
+ * into one write instead of rewriting the file on every dispatch and attempt
+ */
+function schedulePersist() {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    // Chained so two writes never race on the temp file
+    persisting = persisting.then(persistQueue);
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+/**
+ * Write the queue to disk (via a temp file so a crash never leaves it half-written)
+ */
+async function persistQueue() {
+  try {
+    await fs.promises.mkdir(path.dirname(QUEUE_FILE), { recursive: true });
+
+    const tempFile = `${QUEUE_FILE}.tmp`;
+    await fs.promises.writeFile(tempFile, serializeQueue());
+    await fs.promises.rename(tempFile, QUEUE_FILE);
+  } catch (error) {
+    logger.error('Failed to persist webhook queue', { file: QUEUE_FILE, error: error.message });
+  }
+}
+
+/**
+ * Write the queue to disk right away, on shutdown
+ */
+function persistQueueSync() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+
+  try {
+    fs.mkdirSync(path.dirname(QUEUE_FILE), { recursive: true });
+
+    const tempFile = `${QUEUE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, serializeQueue());
+    fs.renameSync(tempFile, QUEUE_FILE);
+  } catch (error) {
+    logger.error('Failed to persist webhook queue', { file: QUEUE_FILE, error: error.message });
+  }
+}
+
+/**
+ * Redis client holding the shared dead-letter list, or null when Redis is not in use.
+ * Dead letters restored from the file before Redis was connected are moved into it first.
+ */
+async function sharedDeadLetters() {
+  const client = redis.getClient();
+  if (!client || deadLetters.length === 0) return client;
+
+  const restored = deadLetters;
+  deadLetters = [];
+  await client.rPush(DEAD_LETTERS_KEY, restored.map(dead => JSON.stringify(dead)));
+  await client.lTrim(DEAD_LETTERS_KEY, -DEAD_LETTER_LIMIT, -1);
+  schedulePersist();
+
+  return client;
+}
+
+async function readDeadLetters() {
+  const client = await sharedDeadLetters();
+  if (client) {
+    return (await client.lRange(DEAD_LETTERS_KEY, 0, -1)).map(raw => JSON.parse(raw));
+  }
+  return deadLetters;
+}
+
+async function addDeadLetter(deadLetter) {
+  const client = await sharedDeadLetters();
+  if (client) {
+    await client.rPush(DEAD_LETTERS_KEY, JSON.stringify(deadLetter));
+    await client.lTrim(DEAD_LETTERS_KEY, -DEAD_LETTER_LIMIT, -1);
+    return;
+  }
+
+  deadLetters.push(deadLetter);
+  if (deadLetters.length > DEAD_LETTER_LIMIT) {
+    deadLetters.splice(0, deadLetters.length - DEAD_LETTER_LIMIT);
+  }
+}
+
+/**
+ * Remove a dead letter and resolve to it, or to null if it does not exist
+ * (or another instance removed it first)
+ */
+async function takeDeadLetter(id) {
+  const client = await sharedDeadLetters();
+  if (client) {
+    const raw = (await client.lRange(DEAD_LETTERS_KEY, 0, -1)).find(entry => JSON.parse(entry).id === id);
+    if (!raw) return null;
+
+    const removed = await client.lRem(DEAD_LETTERS_KEY, 1, raw);
+    return removed > 0 ? JSON.parse(raw) : null;
+  }
+
+  const job = deadLetters.find(dead => dead.id === id);
+  if (!job) return null;
+
+  deadLetters = deadLetters.filter(dead => dead.id !== id);
+  schedulePersist();
+  return job;
+}
+
+/**
+ * Queue an event for delivery to Laravel. Does nothing when no webhook URL is configured.
+ */
+function dispatch(event, data) {
+  if (!isEnabled()) return null;
+
+  const job = {
+    id: crypto.randomUUID(),
+    event,
+    data,
+    attempts: 0,
+    created_at: new Date().toISOString(),
+    next_attempt_at: Date.now(),
+    last_error: null
+  };
+
+  pending.push(job);
+  schedulePersist();
+  setImmediate(processDue);
+
+  return job.id;
+}
+
+/**
+ * POST a single job to Laravel
+ */
+async function deliver(job) {
+  const { url, secret } = getConfig();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: job.id,
+    event: job.event,
+    data: job.data,
+    created_at: job.created_at
+  });
+
+  const headers = {
+    'X-Allez-Event': job.event,
+    'X-Allez-Delivery': job.id,
+    'X-Allez-Timestamp': String(timestamp)
+  };
+  if (secret) {
+    headers['X-Allez-Signature'] = `sha256=${sign(secret, timestamp, body)}`;
+  }
+
+  return httpClient.postJson(url, body, { headers, timeoutMs: TIMEOUT_MS });
+}
+
+/**
+ * Deliver an event once, right away, bypassing the queue. For data that the next
+ * send supersedes anyway (e.g. position batches), where retrying stale copies is pointless.
+ */
+async function sendNow(event, data) {
+  return deliver({
+    id: crypto.randomUUID(),
+    event,
+    data,
+    created_at: new Date().toISOString()
+  });
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+}
+
+async function moveToDeadLetters(job, reason) {
+  await addDeadLetter({ ...job, failed_at: new Date().toISOString(), reason });
+  pending = pending.filter(queued => queued.id !== job.id);
+
+  logger.error('Webhook moved to dead-letter list', { id: job.id, event: job.event, attempts: job.attempts, reason });
+}
+
+async function attempt(job) {
+  job.attempts += 1;
+
+  let failure;
+  let retryable = true;
+
+  try {
+    const response = await deliver(job);
+
+    if (response.status >= 200 && response.status < 300) {
+      pending = pending.filter(queued => queued.id !== job.id);
+      logger.info('Webhook delivered', { id: job.id, event: job.event, attempts: job.attempts });
+      return;
+    }
+
+    failure = `HTTP ${response.status}`;
+    retryable = response.status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(response.status);
+  } catch (error) {
+    failure = error.message;
+  }
+
+  job.last_error = failure;
+
+  if (!retryable || job.attempts >= MAX_ATTEMPTS) {
+    await moveToDeadLetters(job, retryable ? `Gave up after ${job.attempts} attempts: ${failure}` : failure);
+    return;
+  }
+
+  job.next_attempt_at = Date.now() + retryDelay(job.attempts);
+  logger.warn('Webhook delivery failed, will retry', {
+    id: job.id,
+    event: job.event,
+    attempts: job.attempts,
+    error: failure,
+    next_attempt_at: new Date(job.next_attempt_at).toISOString()
+  });
+}
+
+/**
+ * Deliver every job whose retry time has come, one at a time
+ */
+async function processDue() {
+  if (processing || !isEnabled()) return;
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const due = pending.filter(job => job.next_attempt_at <= now);
+
+    for (const job of due) {
+      await attempt(job);
+      schedulePersist();
+    }
+  } catch (error) {
+    logger.error('Webhook worker error:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Restore the persisted queue and start the retry worker
+ */
+function start() {
+  loadQueue();
+
+  if (!isEnabled()) {
+    logger.info('LARAVEL_WEBHOOK_URL not configured, driver decisions will not be forwarded');
+  }
+
+  pollTimer = setInterval(processDue, POLL_INTERVAL_MS);
+  pollTimer.unref();
+}
+
+/**
+ * Stop the retry worker
+ */
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  persistQueueSync();
+}
+
+function getLocalPending() {
+  return pending.map(({ id, event, attempts, created_at, next_attempt_at, last_error }) => ({
+    id,
+    event,
+    attempts,
+    created_at,
+    next_attempt_at: new Date(next_attempt_at).toISOString(),
+    last_error
+  }));
+}
+
+/**
+ * Snapshot of the queue for the admin API: pending deliveries of every instance
+ * (each delivers its own) and the dead letters
+ */
+async function getQueueStatus() {
+  const [answers, deadLetterList] = await Promise.all([
+    clusterBus.request('webhook_pending', {}),
+    readDeadLetters()
+  ]);
+
+  return {
+    enabled: isEnabled(),
+    pending: getLocalPending().concat(...answers),
+    dead_letters: deadLetterList
+  };
+}
+
+/**
+ * Put a dead-lettered job back on this instance's queue. Resolves to false if it does not exist.
+ */
+async function retryDeadLetter(id) {
+  const job = await takeDeadLetter(id);
+  if (!job) return false;
+
+  const { failed_at, reason, ...requeued } = job;
+  pending.push({ ...requeued, attempts: 0, next_attempt_at: Date.now() });
+
+  schedulePersist();
+  setImmediate(processDue);
+
+  logger.info('Dead-lettered webhook requeued', { id, event: job.event });
+  return true;
+}
+
+/**
+ * Discard a dead-lettered job. Resolves to false if it does not exist.
+ */
+async function deleteDeadLetter(id) {
+  return (await takeDeadLetter(id)) !== null;
+}
+
+clusterBus.subscribe('webhook_pending', (payload, callback) => {
+  callback(getLocalPending());
+});
+
+module.exports = {
+  start,
+  stop,
+  dispatch,
+  sendNow,
+  isEnabled,
+  sign,
+  getQueueStatus,
+  retryDeadLetter,
+  deleteDeadLetter
+};
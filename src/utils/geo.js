@@ -0,0 +1,39 @@
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Normalise a location payload ({ lat, lng } or { latitude, longitude }) to
+ * { lat, lng } numbers, or null if it does not hold valid coordinates
+ */
+function toPoint(location) {
+  if (!location || typeof location !== 'object') return null;
+
+  const lat = parseFloat(location.lat ?? location.latitude);
+  const lng = parseFloat(location.lng ?? location.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle (haversine) distance between two points, in metres
+ */
+function distanceMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  toPoint,
+  distanceMeters
+};
@@ -0,0 +1,78 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Minimal HTTP request helper (no fetch on Node 16).
+ * Resolves to { status, headers, body } for any response, rejects on network errors and timeouts.
+ */
+function request(method, url, { body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+
+    if (body !== undefined) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * POST a JSON-serialised body
+ */
+function postJson(url, body, options = {}) {
+  return request('POST', url, {
+    ...options,
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+}
+
+/**
+ * GET a URL and parse the response as JSON, rejecting on non-2xx responses
+ */
+async function getJson(url, options = {}) {
+  const response = await request('GET', url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`GET ${url} failed with status ${response.status}`);
+  }
+
+  return JSON.parse(response.body);
+}
+
+module.exports = {
+  request,
+  postJson,
+  getJson
+};
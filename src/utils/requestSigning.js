@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * String Laravel signs for a backend request: method, path with query string,
+ * timestamp, nonce and the hex SHA-256 of the raw body, one per line
+ */
+function canonicalString(method, path, timestamp, nonce, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Hex HMAC-SHA256 signature of a backend request
+ */
+function sign(secret, method, path, timestamp, nonce, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(canonicalString(method, path, timestamp, nonce, body))
+    .digest('hex');
+}
+
+/**
+ * Compare two secrets without leaking through timing where they differ
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  // Hash first so inputs of different lengths take the same time to compare
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+module.exports = {
+  canonicalString,
+  sign,
+  safeEqual
+};
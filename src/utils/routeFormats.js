@@ -0,0 +1,107 @@
+/**
+ * Summary fields shared by every export format
+ */
+function routeSummary(route) {
+  return {
+    trip_id: route.trip_id,
+    status: route.status,
+    started_at: route.started_at,
+    ended_at: route.ended_at,
+    distance_m: route.distance_m,
+    duration_s: route.duration_s,
+    point_count: route.point_count
+  };
+}
+
+/**
+ * GeoJSON FeatureCollection: the path as a LineString plus one Point per stop
+ */
+function toGeoJson(route) {
+  const path = {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: route.points.map(point => [point.lng, point.lat])
+    },
+    properties: {
+      ...routeSummary(route),
+      timestamps: route.points.map(point => new Date(point.at).toISOString())
+    }
+  };
+
+  const stops = route.stops.map(stop => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [stop.location.lng, stop.location.lat]
+    },
+    properties: {
+      type: 'stop',
+      started_at: stop.started_at,
+      ended_at: stop.ended_at,
+      duration_s: stop.duration_s
+    }
+  }));
+
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      ...routeSummary(route),
+      stops: route.stops
+    },
+    features: [path, ...stops]
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * GPX 1.1 document: the path as a track, stops as waypoints
+ */
+function toGpx(route) {
+  const summary = routeSummary(route);
+  const description = `Distance ${summary.distance_m} m, duration ${summary.duration_s} s, ${route.stops.length} stop(s)`;
+
+  const waypoints = route.stops.map(stop => [
+    `  <wpt lat="${stop.location.lat}" lon="${stop.location.lng}">`,
+    `    <time>${stop.started_at}</time>`,
+    `    <name>Stop (${stop.duration_s} s)</name>`,
+    `    <type>stop</type>`,
+    '  </wpt>'
+  ].join('\n'));
+
+  const trackPoints = route.points.map(point =>
+    `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${new Date(point.at).toISOString()}</time></trkpt>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Allez Middleman" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>Trip ${escapeXml(summary.trip_id)}</name>`,
+    `    <desc>${escapeXml(description)}</desc>`,
+    `    <time>${summary.started_at}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    '  <trk>',
+    `    <name>Trip ${escapeXml(summary.trip_id)}</name>`,
+    `    <type>${escapeXml(summary.status)}</type>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  toGeoJson,
+  toGpx
+};
@@ -0,0 +1,67 @@
+const { request } = require('./helpers');
+
+const INGEST_KEY = 'location-ingest-key-0123456789';
+const RETIRED_KEY = 'retired-backend-key-0123456789';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+process.env.BACKEND_API_KEYS = JSON.stringify([
+  { id: 'location-ingest', key: INGEST_KEY, scopes: ['locations'] },
+  { id: 'retired', key: RETIRED_KEY, scopes: ['*'], expires_at: '2020-01-01T00:00:00Z' }
+]);
+
+describe('scoped backend API keys', () => {
+  const location = { driver_id: 'driver_1', location: { lat: 40.7128, lng: -74.006 } };
+  const alert = {
+    trip_id: 'trip_1',
+    driver_id: 'driver_1',
+    rider_id: 'rider_1',
+    alert_type: 'sos',
+    triggered_by: 'rider',
+    location: { lat: 40.7128, lng: -74.006 }
+  };
+
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+  });
+
+  afterAll(async () => {
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  test('lets a key call the endpoints of its scopes', async () => {
+    const response = await request(port, 'POST', '/api/driver/location-update', location, { 'x-api-key': INGEST_KEY });
+    expect(response.status).toBe(200);
+  });
+
+  test('answers 403 with the missing scope outside them', async () => {
+    const response = await request(port, 'POST', '/api/emergency/alert', alert, { 'x-api-key': INGEST_KEY });
+
+    expect(response).toEqual({
+      status: 403,
+      body: { error: 'API key not allowed for this endpoint', key_id: 'location-ingest', required_scope: 'emergency' }
+    });
+  });
+
+  test('refuses an expired or unknown key with 401', async () => {
+    const expired = await request(port, 'POST', '/api/driver/location-update', location, { 'x-api-key': RETIRED_KEY });
+    expect(expired).toEqual({ status: 401, body: { error: 'API key expired', key_id: 'retired' } });
+
+    const unknown = await request(port, 'POST', '/api/driver/location-update', location, { 'x-api-key': 'not-a-configured-key' });
+    expect(unknown).toEqual({ status: 401, body: { error: 'Invalid API key' } });
+  });
+
+  test('keeps LARAVEL_API_KEY as the default key with every scope', async () => {
+    const response = await request(port, 'POST', '/api/emergency/alert', alert);
+    expect(response.status).toBe(200);
+  });
+});
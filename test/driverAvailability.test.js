@@ -0,0 +1,40 @@
+const { connectClient, once } = require('./helpers');
+
+const HEARTBEAT_MS = 200;
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+process.env.DRIVER_HEARTBEAT_TIMEOUT_MS = String(HEARTBEAT_MS);
+
+describe('driver idle detection', () => {
+  let server;
+  let driver;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+
+    driver = connectClient(server.server.address().port, { user_id: 'driver_1', user_type: 'driver' });
+    await once(driver, 'connect');
+  });
+
+  afterAll(async () => {
+    driver.close();
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  test('makes a driver unavailable after a missed heartbeat window and back on the next ping', async () => {
+    await expect(once(driver, 'availability_changed', HEARTBEAT_MS * 5)).resolves.toMatchObject({
+      is_available: false,
+      reason: 'idle'
+    });
+
+    const restored = once(driver, 'availability_changed');
+    driver.emit('ping');
+    await expect(restored).resolves.toMatchObject({ is_available: true, previous_reason: 'idle' });
+  });
+});
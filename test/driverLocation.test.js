@@ -0,0 +1,72 @@
+const { connectClient, request, once, wait } = require('./helpers');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+
+describe('driver_location into a trip', () => {
+  let server;
+  let port;
+  let rider;
+  let driver;
+  let intruder;
+  let riderUpdates;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+
+    rider = connectClient(port, { user_id: 'rider_1', user_type: 'rider' });
+    driver = connectClient(port, { user_id: 'driver_1', user_type: 'driver' });
+    intruder = connectClient(port, { user_id: 'driver_2', user_type: 'driver' });
+    await Promise.all([rider, driver, intruder].map(socket => once(socket, 'connect')));
+
+    riderUpdates = [];
+    rider.on('driver_location_update', data => riderUpdates.push(data));
+    rider.emit('subscribe_trip', { trip_id: 'trip_located' });
+    await once(rider, 'trip_subscribed');
+
+    const response = await request(port, 'POST', '/api/trip/send-to-drivers', {
+      trip_id: 'trip_located',
+      rider_id: 'rider_1',
+      pickup_location: { lat: 40.7128, lng: -74.006 },
+      nearby_drivers: ['driver_1', 'driver_2']
+    });
+    expect(response.status).toBe(200);
+  });
+
+  afterAll(async () => {
+    [rider, driver, intruder].forEach(socket => socket.close());
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  async function sendLocation(socket, tripId, lat) {
+    const refused = once(socket, 'error', 500).catch(() => null);
+    socket.emit('driver_location', { trip_id: tripId, location: { lat, lng: -74.006 } });
+    return refused;
+  }
+
+  test('refuses positions for a trip that is still being offered or is unknown', async () => {
+    await expect(sendLocation(driver, 'trip_located', 40.72)).resolves.toMatchObject({ trip_id: 'trip_located' });
+    await expect(sendLocation(intruder, 'trip_unknown', 40.72)).resolves.toMatchObject({ trip_id: 'trip_unknown' });
+    expect(riderUpdates).toHaveLength(0);
+  });
+
+  test('publishes only the assigned driver once the trip is accepted', async () => {
+    driver.emit('accept_trip', { trip_id: 'trip_located' });
+    await once(driver, 'trip_acceptance_confirmed');
+
+    await expect(sendLocation(intruder, 'trip_located', 40.73)).resolves.toMatchObject({
+      message: 'Not an active trip for this driver'
+    });
+
+    await expect(sendLocation(driver, 'trip_located', 40.72)).resolves.toBeNull();
+    await wait(100);
+
+    expect(riderUpdates.map(update => update.driver_id)).toEqual(['driver_1']);
+  });
+});
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const http = require('http');
+const { connectClient, request, once, wait } = require('./helpers');
+
+const WINDOW_MS = 300;
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+process.env.EMERGENCY_ESCALATION_WINDOW_MS = String(WINDOW_MS);
+process.env.EMERGENCY_ESCALATION_WEBHOOK_SECRET = 'test-escalation-secret';
+
+/**
+ * Local stand-in for the on-call escalation hook, recording every POST
+ */
+function startEscalationStub() {
+  const received = [];
+  const stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return new Promise((resolve) => {
+    stub.listen(0, '127.0.0.1', () => resolve({ stub, received }));
+  });
+}
+
+describe('emergency escalation', () => {
+  let stub;
+  let hookRequests;
+  let server;
+  let port;
+  let operator;
+  let operatorEvents;
+
+  beforeAll(async () => {
+    ({ stub, received: hookRequests } = await startEscalationStub());
+    process.env.EMERGENCY_ESCALATION_WEBHOOK_URL = `http://127.0.0.1:${stub.address().port}/escalations`;
+
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+
+    operator = connectClient(port, { user_id: 'operator_1', user_type: 'safety_operator' });
+    operatorEvents = [];
+    operator.onAny((event, data) => operatorEvents.push({ event, data }));
+    await once(operator, 'connect');
+  });
+
+  afterAll(async () => {
+    operator.close();
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  async function raiseAlert(tripId, driverId) {
+    const response = await request(port, 'POST', '/api/emergency/alert', {
+      trip_id: tripId,
+      driver_id: driverId,
+      rider_id: 'rider_1',
+      alert_type: 'sos',
+      triggered_by: 'rider',
+      location: { lat: 40.7128, lng: -74.006 }
+    });
+
+    expect(response.status).toBe(200);
+    return response.body.alert_id;
+  }
+
+  function escalationsOf(alertId) {
+    return operatorEvents
+      .filter(({ event, data }) => event === 'emergency_alert' && data.alert_id === alertId && data.escalated)
+      .map(({ data }) => data);
+  }
+
+  function hookCallsFor(alertId) {
+    return hookRequests.filter(({ payload }) => payload.data.alert.alert_id === alertId);
+  }
+
+  test('escalates an unacknowledged alert one severity per window and calls the escalation hook', async () => {
+    const alertId = await raiseAlert('trip_escalated', 'driver_1');
+
+    await wait(WINDOW_MS * 3 + 300);
+
+    expect(escalationsOf(alertId).map(alert => [alert.escalation_level, alert.severity])).toEqual([
+      [1, 'elevated'],
+      [2, 'high'],
+      [3, 'critical']
+    ]);
+
+    const calls = hookCallsFor(alertId);
+    expect(calls.map(({ payload }) => payload.data.severity)).toEqual(['elevated', 'high', 'critical']);
+
+    calls.forEach(({ headers, body, payload }) => {
+      expect(payload.event).toBe('emergency.escalated');
+      expect(headers['x-allez-event']).toBe('emergency.escalated');
+
+      const expected = crypto.createHmac('sha256', process.env.EMERGENCY_ESCALATION_WEBHOOK_SECRET)
+        .update(`${headers['x-allez-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-allez-signature']).toBe(`sha256=${expected}`);
+    });
+
+    // The last severity is final
+    await wait(WINDOW_MS * 2);
+    expect(escalationsOf(alertId)).toHaveLength(3);
+  });
+
+  test('stops escalating once an operator acknowledges the alert', async () => {
+    const alertId = await raiseAlert('trip_acknowledged', 'driver_2');
+
+    await wait(WINDOW_MS + 150);
+    expect(escalationsOf(alertId)).toHaveLength(1);
+
+    operator.emit('acknowledge_emergency', { alert_id: alertId });
+    await once(operator, 'emergency_acknowledged');
+
+    await wait(WINDOW_MS * 3);
+    expect(escalationsOf(alertId)).toHaveLength(1);
+    expect(hookCallsFor(alertId)).toHaveLength(1);
+  });
+
+  test('streams the driver location to operators from the start until the alert is resolved', async () => {
+    const alertId = await raiseAlert('trip_streamed', 'driver_3');
+
+    operator.emit('acknowledge_emergency', { alert_id: alertId });
+    await once(operator, 'emergency_acknowledged');
+
+    const streamed = once(operator, 'emergency_location_update');
+    await request(port, 'POST', '/api/driver/location-update', {
+      driver_id: 'driver_3',
+      trip_id: 'trip_streamed',
+      location: { lat: 40.713, lng: -74.0061 }
+    });
+    await expect(streamed).resolves.toMatchObject({ alert_id: alertId, driver_id: 'driver_3' });
+
+    operator.emit('resolve_emergency', { alert_id: alertId, resolution: 'handled' });
+    await once(operator, 'emergency_resolved');
+
+    const before = operatorEvents.filter(({ event }) => event === 'emergency_location_update').length;
+    await request(port, 'POST', '/api/driver/location-update', {
+      driver_id: 'driver_3',
+      trip_id: 'trip_streamed',
+      location: { lat: 40.7132, lng: -74.0062 }
+    });
+    await wait(200);
+
+    expect(operatorEvents.filter(({ event }) => event === 'emergency_location_update')).toHaveLength(before);
+    expect(escalationsOf(alertId)).toHaveLength(0);
+  });
+
+  test('streams positions reported through the legacy location endpoint', async () => {
+    const alertId = await raiseAlert('trip_legacy', 'driver_4');
+
+    const streamed = once(operator, 'emergency_location_update');
+    await request(port, 'POST', '/api/driver/location', {
+      driver_id: 'driver_4',
+      location: { lat: 40.713, lng: -74.0061 }
+    });
+    await expect(streamed).resolves.toMatchObject({ alert_id: alertId, trip_id: 'trip_legacy', driver_id: 'driver_4' });
+  });
+
+  test('resumes escalating and streaming an alert raised before a restart', async () => {
+    // Stored, but not watched by this instance: as if the instance that received it restarted
+    const alert = await require('../src/services/emergencyAlerts').open({
+      trip_id: 'trip_restored',
+      rider_id: 'rider_1',
+      driver_id: 'driver_5',
+      alert_type: 'sos',
+      triggered_by: 'rider',
+      location: { lat: 40.7128, lng: -74.006 },
+      alert_time: new Date(Date.now() - WINDOW_MS / 2).toISOString()
+    });
+
+    await require('../src/services/emergencyEscalation').restore(server.io);
+    // Restoring again, as another instance would, does not escalate twice
+    await require('../src/services/emergencyEscalation').restore(server.io);
+
+    const streamed = once(operator, 'emergency_location_update');
+    await request(port, 'POST', '/api/driver/location-update', {
+      driver_id: 'driver_5',
+      trip_id: 'trip_restored',
+      location: { lat: 40.713, lng: -74.0061 }
+    });
+    await expect(streamed).resolves.toMatchObject({ alert_id: alert.alert_id, driver_id: 'driver_5' });
+
+    await wait(WINDOW_MS * 3 + 150);
+    expect(escalationsOf(alert.alert_id).map(escalated => escalated.severity)).toEqual(['elevated', 'high', 'critical']);
+    expect(hookCallsFor(alert.alert_id)).toHaveLength(3);
+  });
+});
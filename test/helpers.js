@@ -0,0 +1,93 @@
+const http = require('http');
+const { spawnSync } = require('child_process');
+const { io: connect } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Socket.IO client authenticated with a token signed by JWT_SECRET
+ */
+function connectClient(port, claims, auth = {}) {
+  const token = jwt.sign(claims, process.env.JWT_SECRET);
+
+  return connect(`http://127.0.0.1:${port}`, {
+    auth: { token, ...auth },
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+}
+
+/**
+ * JSON request to the server, resolving to { status, body }
+ */
+function request(port, method, path, body = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body ? JSON.stringify(body) : '';
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(data),
+        'x-api-key': process.env.LARAVEL_API_KEY,
+        ...headers
+      }
+    }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => {
+        let parsed = raw;
+        try {
+          parsed = JSON.parse(raw);
+        } catch (error) {
+          // Not JSON, keep the text
+        }
+        resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+/**
+ * Next occurrence of an event, rejecting after timeoutMs
+ */
+function once(emitter, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    emitter.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args[0]);
+    });
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a Redis server answers at REDIS_TEST_URL (default redis://127.0.0.1:6379).
+ * Checked synchronously so suites can decide whether to skip while they are collected.
+ */
+function redisTestUrl() {
+  const url = process.env.REDIS_TEST_URL || 'redis://127.0.0.1:6379';
+  const probe = spawnSync(process.execPath, ['-e', `
+    const { createClient } = require('redis');
+    const client = createClient({ url: process.argv[1], socket: { connectTimeout: 1000, reconnectStrategy: false } });
+    client.on('error', () => {});
+    client.connect().then(() => client.ping()).then(() => process.exit(0), () => process.exit(1));
+  `, url], { cwd: __dirname, timeout: 5000 });
+
+  return probe.status === 0 ? url : null;
+}
+
+module.exports = {
+  connectClient,
+  request,
+  once,
+  wait,
+  redisTestUrl
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { wait } = require('./helpers');
+
+const GRACE_MS = 400;
+const ISSUER = 'https://laravel.test';
+const AUDIENCE = 'allez-middleman';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_ISSUER = ISSUER;
+process.env.JWT_AUDIENCE = `${AUDIENCE}, another-audience`;
+process.env.JWT_KEY_ROLLOVER_GRACE_MS = String(GRACE_MS);
+process.env.JWT_JWKS_MIN_REFRESH_MS = '1';
+
+/**
+ * Signing key pair with its public half as a JWK
+ */
+function createKey(kid, type = 'rsa') {
+  const { publicKey, privateKey } = type === 'rsa'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    kid,
+    privateKey,
+    algorithm: type === 'rsa' ? 'RS256' : 'ES256',
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' }
+  };
+}
+
+function signWith(key, claims = {}, options = {}) {
+  return jwt.sign({ user_id: 'rider_1', user_type: 'rider', ...claims }, key.privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    expiresIn: '5m',
+    ...options
+  });
+}
+
+describe('JWKS token verification', () => {
+  const rsaKey = createKey('rsa-2024-01');
+  const ecKey = createKey('ec-2024-01', 'ec');
+  const newKey = createKey('rsa-2024-06');
+
+  let stub;
+  let published;
+  let jwksRequests;
+  let jwks;
+  let verifyToken;
+
+  beforeAll(async () => {
+    published = [rsaKey.jwk, ecKey.jwk];
+    jwksRequests = 0;
+
+    // Local stand-in for Laravel's /.well-known/jwks.json
+    stub = http.createServer((req, res) => {
+      jwksRequests += 1;
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ keys: published }));
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    process.env.JWT_JWKS_URL = `http://127.0.0.1:${stub.address().port}/.well-known/jwks.json`;
+
+    jwks = require('../src/services/jwks');
+    ({ verifyToken } = require('../src/middleware/auth'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  test('accepts RS256 and ES256 tokens signed by a key in the JWKS', async () => {
+    await expect(verifyToken(signWith(rsaKey))).resolves.toMatchObject({ user_id: 'rider_1', iss: ISSUER });
+    await expect(verifyToken(signWith(ecKey, { user_id: 'driver_1' }))).resolves.toMatchObject({ user_id: 'driver_1' });
+  });
+
+  test('refuses a token claiming another algorithm than its key, or signed with the shared secret', async () => {
+    const mislabelled = signWith(ecKey);
+    const [header, payload] = mislabelled.split('.');
+    const claimedHeader = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(header, 'base64url')),
+      alg: 'RS256',
+      kid: ecKey.kid
+    })).toString('base64url');
+
+    await expect(verifyToken(`${claimedHeader}.${payload}.${mislabelled.split('.')[2]}`))
+      .rejects.toThrow(`No RS256 signing key with kid ${ecKey.kid}`);
+    await expect(verifyToken(jwt.sign({ user_id: 'rider_1', iss: ISSUER, aud: AUDIENCE }, process.env.JWT_SECRET)))
+      .rejects.toThrow('Shared-secret tokens are not accepted');
+  });
+
+  test('reloads the JWKS when a token names an unknown kid', async () => {
+    published = [rsaKey.jwk, ecKey.jwk, newKey.jwk];
+    const requestsBefore = jwksRequests;
+
+    await expect(verifyToken(signWith(newKey))).resolves.toMatchObject({ user_id: 'rider_1' });
+    expect(jwksRequests).toBe(requestsBefore + 1);
+
+    // Known now: no further reload
+    await verifyToken(signWith(newKey));
+    expect(jwksRequests).toBe(requestsBefore + 1);
+  });
+
+  test('keeps accepting a retired key for the rollover grace period only', async () => {
+    const token = signWith(rsaKey);
+
+    published = [ecKey.jwk, newKey.jwk];
+    await jwks.refresh();
+
+    await expect(verifyToken(token)).resolves.toMatchObject({ user_id: 'rider_1' });
+
+    await wait(GRACE_MS + 100);
+
+    await expect(verifyToken(token)).rejects.toThrow(`No RS256 signing key with kid ${rsaKey.kid}`);
+  });
+
+  test('checks the issuer and audience', async () => {
+    await expect(verifyToken(signWith(newKey, {}, { issuer: 'https://elsewhere.test' }))).rejects.toThrow('jwt issuer invalid');
+    await expect(verifyToken(signWith(newKey, {}, { audience: 'someone-else' }))).rejects.toThrow('jwt audience invalid');
+    await expect(verifyToken(signWith(newKey, {}, { audience: 'another-audience' }))).resolves.toMatchObject({ aud: 'another-audience' });
+  });
+});
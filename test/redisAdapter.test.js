@@ -0,0 +1,202 @@
+const net = require('net');
+const { connectClient, request, once, redisTestUrl } = require('./helpers');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.ADMIN_API_KEY = 'test-admin-api-key';
+process.env.PORT = '0';
+process.env.REDIS_CONNECT_RETRIES = '1';
+
+const REDIS_URL = redisTestUrl();
+
+function clearRedisEnv() {
+  delete process.env.REDIS_URL;
+  delete process.env.REDIS_HOST;
+  delete process.env.REDIS_PORT;
+}
+
+/**
+ * A port nothing listens on
+ */
+function closedPort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Load a complete server, with its own module instances, listening on a random port
+ */
+async function startInstance() {
+  let instance;
+  jest.isolateModules(() => {
+    instance = {
+      ...require('../src/server'),
+      redis: require('../src/services/redis'),
+      clusterBus: require('../src/services/clusterBus'),
+      webhookDispatcher: require('../src/services/webhookDispatcher'),
+      driverTracking: require('../src/services/driverTracking')
+    };
+  });
+
+  await instance.ready;
+  instance.port = instance.server.address().port;
+  return instance;
+}
+
+async function stopInstance(instance) {
+  instance.io.close();
+  instance.webhookDispatcher.stop();
+  await instance.driverTracking.stop();
+  await instance.redis.disconnect();
+}
+
+describe('redis connection fallback', () => {
+  let redis;
+  let clusterBus;
+
+  beforeEach(() => {
+    clearRedisEnv();
+    jest.isolateModules(() => {
+      redis = require('../src/services/redis');
+      clusterBus = require('../src/services/clusterBus');
+    });
+  });
+
+  afterEach(async () => {
+    await redis.disconnect();
+  });
+
+  test('stays in memory when Redis is not configured', async () => {
+    expect(redis.isConfigured()).toBe(false);
+    await expect(redis.connect()).resolves.toBe(false);
+    expect(redis.getClient()).toBeNull();
+    expect(redis.getSubscriber()).toBeNull();
+
+    expect(clusterBus.isEnabled()).toBe(false);
+    expect(() => clusterBus.publish('anything', {})).not.toThrow();
+    await expect(clusterBus.request('anything', {})).resolves.toEqual([]);
+  });
+
+  test('falls back to memory when the configured Redis is unreachable', async () => {
+    process.env.REDIS_HOST = '127.0.0.1';
+    process.env.REDIS_PORT = String(await closedPort());
+
+    expect(redis.isConfigured()).toBe(true);
+    await expect(redis.connect()).resolves.toBe(false);
+    expect(redis.getClient()).toBeNull();
+    expect(redis.getSubscriber()).toBeNull();
+  });
+});
+
+describe('in-memory adapter', () => {
+  let instance;
+  let client;
+
+  beforeAll(async () => {
+    clearRedisEnv();
+    instance = await startInstance();
+  });
+
+  afterAll(async () => {
+    client?.close();
+    await stopInstance(instance);
+  });
+
+  test('delivers backend events to sockets on the same instance', async () => {
+    expect(instance.clusterBus.isEnabled()).toBe(false);
+
+    client = connectClient(instance.port, { user_id: 'rider_1', user_type: 'rider' });
+    await once(client, 'connect');
+
+    const received = once(client, 'trip_status_update');
+    const response = await request(instance.port, 'POST', '/api/trip/update', {
+      trip_id: 'trip_memory',
+      status: 'accepted',
+      rider_id: 'rider_1'
+    });
+
+    expect(response.status).toBe(200);
+    await expect(received).resolves.toMatchObject({ trip_id: 'trip_memory', status: 'accepted' });
+  });
+});
+
+const describeWithRedis = REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('redis adapter across instances', () => {
+  let first;
+  let second;
+  let client;
+
+  beforeAll(async () => {
+    clearRedisEnv();
+    process.env.REDIS_URL = REDIS_URL;
+    process.env.REDIS_ADAPTER_KEY = `allez-middleman-test-${process.pid}`;
+
+    first = await startInstance();
+    second = await startInstance();
+  });
+
+  afterAll(async () => {
+    client?.close();
+    await Promise.all([first, second].filter(Boolean).map(stopInstance));
+    delete process.env.REDIS_ADAPTER_KEY;
+    clearRedisEnv();
+  });
+
+  test('uses Redis on both instances', () => {
+    expect(first.redis.getClient()).not.toBeNull();
+    expect(second.clusterBus.isEnabled()).toBe(true);
+  });
+
+  test('delivers an event posted to one instance to a socket on the other', async () => {
+    client = connectClient(second.port, { user_id: 'rider_2', user_type: 'rider' });
+    await once(client, 'connect');
+
+    const received = once(client, 'trip_status_update');
+    const response = await request(first.port, 'POST', '/api/trip/update', {
+      trip_id: 'trip_redis',
+      status: 'accepted',
+      rider_id: 'rider_2'
+    });
+
+    expect(response.status).toBe(200);
+    await expect(received).resolves.toMatchObject({ trip_id: 'trip_redis' });
+  });
+
+  test('sees sockets connected to the other instance', async () => {
+    const response = await request(first.port, 'GET', '/api/admin/sockets?user_id=rider_2', null, {
+      'x-admin-key': process.env.ADMIN_API_KEY
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sockets).toEqual([
+      expect.objectContaining({ user_id: 'rider_2', user_type: 'rider' })
+    ]);
+  });
+
+  test('refuses a wave offer to a driver on the other instance it was not sent to', async () => {
+    const outsider = connectClient(second.port, { user_id: 'driver_outside', user_type: 'driver' });
+    await once(outsider, 'connect');
+
+    const response = await request(first.port, 'POST', '/api/trip/send-to-drivers', {
+      trip_id: 'trip_waves_redis',
+      rider_id: 'rider_2',
+      pickup_location: { lat: 40.7128, lng: -74.006 },
+      dispatch_mode: 'waves',
+      ordered_drivers: ['driver_first', 'driver_outside'],
+      wave_timeout: 60
+    });
+    expect(response.status).toBe(200);
+
+    const refused = once(outsider, 'error');
+    outsider.emit('accept_trip', { trip_id: 'trip_waves_redis' });
+    await expect(refused).resolves.toMatchObject({ trip_id: 'trip_waves_redis', reason: 'not_offered' });
+
+    outsider.close();
+  });
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { request } = require('./helpers');
+const requestSigning = require('../src/utils/requestSigning');
+
+const SIGNING_SECRET = 'test-signing-secret';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.LARAVEL_SIGNING_SECRET = SIGNING_SECRET;
+process.env.PORT = '0';
+
+/**
+ * Headers Laravel sends with a signed request, signing `signedBody` (the body sent, by default)
+ */
+function signatureHeaders(method, path, signedBody, overrides = {}) {
+  const timestamp = overrides.timestamp || String(Math.floor(Date.now() / 1000));
+  const nonce = overrides.nonce || crypto.randomBytes(16).toString('hex');
+  const raw = signedBody ? JSON.stringify(signedBody) : '';
+
+  return {
+    'x-api-key': '',
+    'x-allez-request-timestamp': timestamp,
+    'x-allez-request-nonce': nonce,
+    'x-allez-request-signature': `sha256=${requestSigning.sign(SIGNING_SECRET, method, path, timestamp, nonce, raw)}`
+  };
+}
+
+describe('signed backend requests', () => {
+  const update = { trip_id: 'trip_signed', status: 'accepted', rider_id: 'rider_1' };
+
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+  });
+
+  beforeEach(() => {
+    process.env.BACKEND_AUTH_MODE = 'hmac';
+  });
+
+  afterAll(async () => {
+    delete process.env.BACKEND_AUTH_MODE;
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  function postUpdate(body, headers) {
+    return request(port, 'POST', '/api/trip/update', body, headers);
+  }
+
+  test('accepts a request signed over its method, path, timestamp, nonce and body', async () => {
+    const response = await postUpdate(update, signatureHeaders('POST', '/api/trip/update', update));
+    expect(response.status).toBe(200);
+
+    const query = '/api/presence/rider_1?include=last_seen';
+    await expect(request(port, 'GET', query, null, signatureHeaders('GET', query))).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('refuses a request whose body or path differs from what was signed', async () => {
+    const tamperedBody = await postUpdate({ ...update, status: 'cancelled' }, signatureHeaders('POST', '/api/trip/update', update));
+    expect(tamperedBody).toEqual({ status: 401, body: { error: 'Invalid request signature' } });
+
+    const tamperedPath = await request(port, 'GET', '/api/presence/rider_2', null, signatureHeaders('GET', '/api/presence/rider_1'));
+    expect(tamperedPath).toEqual({ status: 401, body: { error: 'Invalid request signature' } });
+  });
+
+  test('refuses a stale timestamp', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60);
+    const response = await postUpdate(update, signatureHeaders('POST', '/api/trip/update', update, { timestamp }));
+
+    expect(response).toEqual({ status: 401, body: { error: 'Request timestamp outside the allowed window' } });
+  });
+
+  test('refuses a replayed nonce', async () => {
+    const headers = signatureHeaders('POST', '/api/trip/update', update);
+
+    expect((await postUpdate(update, headers)).status).toBe(200);
+    expect(await postUpdate(update, headers)).toEqual({ status: 401, body: { error: 'Request already processed' } });
+  });
+
+  test('refuses a body that was not sent as JSON', async () => {
+    // Signed as if empty: only a JSON body is verified against the bytes sent
+    const response = await postUpdate(update, { ...signatureHeaders('POST', '/api/trip/update', null), 'content-type': 'text/plain' });
+
+    expect(response).toEqual({ status: 415, body: { error: 'Signed requests must have a JSON body' } });
+  });
+
+  test('accepts the API key only in hmac_or_api_key mode, where signatures are still checked', async () => {
+    expect(await postUpdate(update)).toEqual({ status: 401, body: { error: 'Request signature required' } });
+
+    process.env.BACKEND_AUTH_MODE = 'hmac_or_api_key';
+
+    expect((await postUpdate(update)).status).toBe(200);
+    expect((await postUpdate(update, signatureHeaders('POST', '/api/trip/update', update))).status).toBe(200);
+
+    const forged = await postUpdate({ ...update, status: 'cancelled' }, {
+      ...signatureHeaders('POST', '/api/trip/update', update),
+      'x-api-key': process.env.LARAVEL_API_KEY
+    });
+    expect(forged).toEqual({ status: 401, body: { error: 'Invalid request signature' } });
+  });
+});
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const { connectClient, request, once } = require('./helpers');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+
+const issuedSecondsAgo = seconds => Math.floor(Date.now() / 1000) - seconds;
+
+describe('session revocation and token refresh', () => {
+  let server;
+  let port;
+  const sockets = [];
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+  });
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.close());
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  function connect(claims) {
+    const socket = connectClient(port, claims);
+    sockets.push(socket);
+    return socket;
+  }
+
+  /**
+   * 'connected' or the connect_error message
+   */
+  function connectionOutcome(socket) {
+    return new Promise((resolve) => {
+      socket.once('connect', () => resolve('connected'));
+      socket.once('connect_error', error => resolve(error.message));
+    });
+  }
+
+  test('disconnects a revoked user and refuses their older tokens, but not newer ones', async () => {
+    const claims = { user_id: 'rider_banned', user_type: 'rider', iat: issuedSecondsAgo(5) };
+    const connected = connect(claims);
+    await once(connected, 'connect');
+
+    const revoked = once(connected, 'session_revoked');
+    const response = await request(port, 'POST', '/api/sessions/revoke', { user_id: 'rider_banned' });
+    expect(response.body).toMatchObject({ success: true, sockets_disconnected: 1 });
+    await expect(revoked).resolves.toMatchObject({ reason: 'user_revoked' });
+
+    await expect(connectionOutcome(connect(claims))).resolves.toBe('Token revoked');
+
+    // Handed out right after the revocation, e.g. once the user is reinstated
+    await expect(connectionOutcome(connect({ user_id: 'rider_banned', user_type: 'rider' }))).resolves.toBe('connected');
+  });
+
+  test('refuses a revoked jti without affecting the user\'s other tokens', async () => {
+    const loggedOut = { user_id: 'rider_jti', user_type: 'rider', jti: 'token-logged-out' };
+    const connected = connect(loggedOut);
+    await once(connected, 'connect');
+
+    const revoked = once(connected, 'session_revoked');
+    await request(port, 'POST', '/api/sessions/revoke', { jti: 'token-logged-out' });
+    await expect(revoked).resolves.toMatchObject({ reason: 'token_revoked' });
+
+    await expect(connectionOutcome(connect(loggedOut))).resolves.toBe('Token revoked');
+    await expect(connectionOutcome(connect({ ...loggedOut, jti: 'token-other-device' }))).resolves.toBe('connected');
+  });
+
+  test('refreshes a token only for the same user and type, and not with a revoked one', async () => {
+    const socket = connect({ user_id: 'driver_refresh', user_type: 'driver' });
+    await once(socket, 'connect');
+
+    const sign = claims => jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+    const refreshed = once(socket, 'token_refreshed');
+    socket.emit('refresh_token', { token: sign({ user_id: 'driver_refresh', user_type: 'driver' }) });
+    await expect(refreshed).resolves.toHaveProperty('expires_at');
+
+    const otherUser = once(socket, 'error');
+    socket.emit('refresh_token', { token: sign({ user_id: 'driver_other', user_type: 'driver' }) });
+    await expect(otherUser).resolves.toMatchObject({ reason: 'user_mismatch' });
+
+    const otherType = once(socket, 'error');
+    socket.emit('refresh_token', { token: sign({ user_id: 'driver_refresh', user_type: 'safety_operator' }) });
+    await expect(otherType).resolves.toMatchObject({ reason: 'user_mismatch' });
+
+    const invalid = once(socket, 'error');
+    socket.emit('refresh_token', { token: jwt.sign({ user_id: 'driver_refresh', user_type: 'driver' }, 'another-secret') });
+    await expect(invalid).resolves.toMatchObject({ reason: 'invalid_token' });
+
+    await request(port, 'POST', '/api/sessions/revoke', { jti: 'token-stolen' });
+    const revoked = once(socket, 'error');
+    socket.emit('refresh_token', { token: sign({ user_id: 'driver_refresh', user_type: 'driver', jti: 'token-stolen' }) });
+    await expect(revoked).resolves.toMatchObject({ reason: 'revoked_token' });
+  });
+});
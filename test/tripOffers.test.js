@@ -0,0 +1,69 @@
+const { connectClient, request, once } = require('./helpers');
+
+const OFFER_MS = 200;
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+
+describe('trip offer expiry', () => {
+  let server;
+  let port;
+  let rider;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+
+    rider = connectClient(port, { user_id: 'rider_1', user_type: 'rider' });
+    await once(rider, 'connect');
+  });
+
+  afterAll(async () => {
+    rider.close();
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  async function sendToDrivers(tripId, expiresInMs) {
+    return request(port, 'POST', '/api/trip/send-to-drivers', {
+      trip_id: tripId,
+      rider_id: 'rider_1',
+      pickup_location: { lat: 40.7128, lng: -74.006 },
+      nearby_drivers: ['driver_1'],
+      expires_at: new Date(Date.now() + expiresInMs).toISOString()
+    });
+  }
+
+  async function expireOffer(tripId) {
+    const expired = once(rider, 'trip_request_expired');
+    expect((await sendToDrivers(tripId, OFFER_MS)).status).toBe(200);
+    await expect(expired).resolves.toMatchObject({ trip_id: tripId, reason: 'expired' });
+  }
+
+  test('lets the rider cancel a trip whose offer expired', async () => {
+    await expireOffer('trip_expired_cancel');
+
+    const response = await request(port, 'POST', '/api/trip/cancelled', {
+      trip_id: 'trip_expired_cancel',
+      rider_id: 'rider_1',
+      cancelled_by: 'rider',
+      reason: 'No driver found'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.trip_state).toBe('cancelled');
+  });
+
+  test('lets Laravel send a trip whose offer expired to drivers again', async () => {
+    await expireOffer('trip_expired_resend');
+
+    const response = await sendToDrivers('trip_expired_resend', 60 * 1000);
+
+    expect(response.status).toBe(200);
+    expect(response.body.trip_state).toBe('sent_to_drivers');
+  });
+});
@@ -0,0 +1,130 @@
+const { connectClient, request, once } = require('./helpers');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LARAVEL_API_KEY = 'test-backend-api-key';
+process.env.PORT = '0';
+
+describe('trip state enforcement', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = require('../src/server');
+    await server.ready;
+    port = server.server.address().port;
+  });
+
+  afterAll(async () => {
+    server.io.close();
+    require('../src/services/webhookDispatcher').stop();
+    await require('../src/services/driverTracking').stop();
+  });
+
+  async function acceptedTrip(tripId) {
+    await request(port, 'POST', '/api/trip/send-to-drivers', {
+      trip_id: tripId,
+      rider_id: 'rider_1',
+      pickup_location: { lat: 40.7128, lng: -74.006 },
+      nearby_drivers: ['driver_1']
+    });
+
+    const response = await request(port, 'POST', '/api/trip/accepted', {
+      trip_id: tripId,
+      driver_id: 'driver_1',
+      rider_id: 'rider_1'
+    });
+    expect(response.body.trip_state).toBe('accepted');
+  }
+
+  function complete(tripId, headers = {}) {
+    return request(port, 'POST', '/api/trip/completed', {
+      trip_id: tripId,
+      driver_id: 'driver_1',
+      rider_id: 'rider_1'
+    }, headers);
+  }
+
+  test('answers an out-of-order event with 409 and the allowed states', async () => {
+    await acceptedTrip('trip_out_of_order');
+
+    const response = await complete('trip_out_of_order');
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      error: 'Invalid trip state transition',
+      message: "Trip trip_out_of_order cannot move from 'accepted' to 'completed'",
+      trip_id: 'trip_out_of_order',
+      current_state: 'accepted',
+      attempted_state: 'completed',
+      allowed_states: ['driver_arrived', 'started', 'cancelled'],
+      hint: 'Resend with header X-Force-Transition: true to apply a correction anyway'
+    });
+  });
+
+  test('applies an out-of-order event with X-Force-Transition', async () => {
+    await acceptedTrip('trip_forced');
+
+    const response = await complete('trip_forced', { 'x-force-transition': 'true' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      trip_state: 'completed',
+      forced_transition: true,
+      previous_state: 'accepted'
+    });
+  });
+
+  test('accepts no-longer-available after the offer closed without changing the state', async () => {
+    await acceptedTrip('trip_notified');
+
+    const response = await request(port, 'POST', '/api/trip/no-longer-available', {
+      trip_id: 'trip_notified',
+      reason: 'accepted_by_another',
+      accepted_by_driver_id: 'driver_1',
+      remaining_drivers: ['driver_2']
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.trip_state).toBe('accepted');
+
+    const started = await request(port, 'POST', '/api/trip/started', {
+      trip_id: 'trip_notified',
+      driver_id: 'driver_1',
+      rider_id: 'rider_1'
+    });
+    expect(started.status).toBe(200);
+  });
+
+  test('confirms exactly one of two drivers accepting at the same time', async () => {
+    const drivers = ['driver_1', 'driver_2'].map(driverId => connectClient(port, { user_id: driverId, user_type: 'driver' }));
+    await Promise.all(drivers.map(driver => once(driver, 'connect')));
+
+    await request(port, 'POST', '/api/trip/send-to-drivers', {
+      trip_id: 'trip_raced',
+      rider_id: 'rider_1',
+      pickup_location: { lat: 40.7128, lng: -74.006 },
+      nearby_drivers: ['driver_1', 'driver_2']
+    });
+
+    // Each driver hears either the confirmation or the refusal
+    const outcomes = drivers.map(driver => new Promise((resolve) => {
+      ['trip_acceptance_confirmed', 'trip_no_longer_available'].forEach((event) => {
+        driver.once(event, data => resolve({ event, data }));
+      });
+    }));
+    drivers.forEach(driver => driver.emit('accept_trip', { trip_id: 'trip_raced' }));
+
+    const [first, second] = await Promise.all(outcomes);
+    const winner = first.event === 'trip_acceptance_confirmed' ? first : second;
+    const loser = winner === first ? second : first;
+
+    expect(winner.event).toBe('trip_acceptance_confirmed');
+    expect(loser).toMatchObject({
+      event: 'trip_no_longer_available',
+      data: { trip_id: 'trip_raced', reason: 'accepted_by_another' }
+    });
+
+    drivers.forEach(driver => driver.close());
+  });
+});